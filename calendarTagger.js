@@ -3,21 +3,214 @@
  */
 
 // --- CONFIGURABLE VARIABLES ---
-const DEBUG_MODE = false; // Set to true to enable debug logging
-const CACHE_TIME = 120; //default is two minutes; set to lower value to troubleshoot
+const DEBUG_MODE = false; // Set to true to enable debug logging, or set debugMode in the organisation configuration
+const CACHE_TIME = 120; //default is two minutes; set to lower value to troubleshoot; an organisation configuration may override it
 const DEFAULT_USER_TAGS = ['#Work', '#Personal', '#Internal_Meeting', '#External_Meeting']; // Define your default tags here
+const INTERNAL_MEETING_TAG = '#Internal_Meeting'; // Applied when every attendee is on an internal domain
+const EXTERNAL_MEETING_TAG = '#External_Meeting'; // Applied when any attendee is on another domain
+const BACKGROUND_SAVE_HOURS = 1; // How often the background job saves pending tag writes; add-ons can't run it more often
+const MAX_SAVE_ATTEMPTS = 5; // Failed tag writes are retried this many times before being marked failed
+const RETRY_BACKOFF_SECONDS = 60; // Delay before the first retry; doubles with each attempt
+const DRAFT_EXPIRY_HOURS = 24; // Tags for new events that were never saved are dropped after this long
+const NEW_EVENT_WINDOW_MINUTES = 10; // Only events created this recently can receive a draft's tags
+const RETRO_TAG_PREVIEW_LIMIT = 25; // Number of events scanned for the retro-tagging preview
+const RETRO_TAG_PAGE_SIZE = 100; // Number of events fetched per page by the retro-tagging job
+const RETRO_TAG_ACTION_BUDGET_SECONDS = 20; // Time the job may run inside the "Apply Tags" click
+const BACKGROUND_JOB_BUDGET_SECONDS = 300; // Time each background run may spend on saves and continuing long jobs
+const ALL_DAY_EVENT_HOURS = 8; // Hours an all-day event counts for in reports, per day
+const SEARCH_RESULT_LIMIT = 50; // Maximum number of events listed by Find Events by Tag
+const TAG_PAGE_SIZE = 30; // Number of tags listed per page on the event card
+const RECENT_TAGS_LIMIT = 8; // Number of tags kept in the "Recently Used" list
+const TAG_SUGGESTION_LIMIT = 10; // Number of suggestions offered while typing a new tag
+const SUGGESTED_TAGS_LIMIT = 5; // Number of history-based suggestions on the event card
+const SUGGESTION_LOOKBACK_DAYS = 180; // How much history a full rebuild of the suggestion index reads
+const SUGGESTION_INDEX_MAX_AGE_DAYS = 7; // The background job rebuilds the suggestion index this often
+const SUGGESTION_INDEX_LIMIT = 300; // Attendees, organizers and words each kept in the suggestion index
+const CONFIG_PREVIEW_LIMIT = 20; // Tags, domain mappings and warnings listed when checking the configuration
+const VIOLATION_LOOKBACK_DAYS = 14; // How far back "Check Recent Events" looks for events breaking tag group rules
+const EVENT_HISTORY_LIMIT = 5; // Number of recent tag changes shown on the event card
+const TAG_HISTORY_SCAN_ROWS = 2000; // Rows of the tag history sheet searched for an event's changes
+const TAG_HISTORY_LIMIT = 200; // Changes kept in user properties when no spreadsheet is configured
 // --- END OF CONFIGURABLE VARIABLES ---
 
 const userCache = CacheService.getUserCache();
 const userProperties = PropertiesService.getUserProperties();
+const scriptProperties = PropertiesService.getScriptProperties();
+
+// The organisation configuration, read from script properties by getOrgConfig
+let orgConfig = null;
+
+// The user tags, read from user properties once per execution by getUserTags
+let loadedUserTags = null;
+
+// The auto-tagging rules, read from user properties once per execution by getRules
+let loadedRules = null;
+
+// Whether this execution holds the queue lock, so withQueueLock can be nested
+let queueLockHeld = false;
+
+// Auto-tagging rules live in this sheet of the configured spreadsheet
+const RULES_SHEET_NAME = 'Rules';
+// Recognised Rules sheet headers (lower case) and the rule fields they fill
+const RULE_COLUMNS = {
+  'rule': 'name',
+  'name': 'name',
+  'enabled': 'enabled',
+  'priority': 'priority',
+  'title': 'title',
+  'description': 'description',
+  'organizer': 'organizer',
+  'min attendees': 'minAttendees',
+  'max attendees': 'maxAttendees',
+  'recurring': 'recurring',
+  'conference': 'conference',
+  'location': 'location',
+  'days': 'days',
+  'from time': 'fromTime',
+  'to time': 'toTime',
+  'add tags': 'addTags',
+  'remove tags': 'removeTags',
+  'stop': 'stop'
+};
+
+// Separates the levels of hierarchical tags, e.g. #Client/Acme/Audit
+const TAG_SEPARATOR = '/';
+
+// Where tag changes on an occurrence of a recurring event are applied
+const TAG_SCOPES = {
+  INSTANCE: 'instance',
+  FOLLOWING: 'following',
+  SERIES: 'series'
+};
+
+// Calendar event colours by colorId, with the hex shown on tag buttons
+const EVENT_COLORS = {
+  '1': { name: 'Lavender', hex: '#7986cb' },
+  '2': { name: 'Sage', hex: '#33b679' },
+  '3': { name: 'Grape', hex: '#8e24aa' },
+  '4': { name: 'Flamingo', hex: '#e67c73' },
+  '5': { name: 'Banana', hex: '#f6bf26' },
+  '6': { name: 'Tangerine', hex: '#f4511e' },
+  '7': { name: 'Peacock', hex: '#039be5' },
+  '8': { name: 'Graphite', hex: '#616161' },
+  '9': { name: 'Blueberry', hex: '#3f51b5' },
+  '10': { name: 'Basil', hex: '#0b8043' },
+  '11': { name: 'Tomato', hex: '#d50000' }
+};
+
+// Optional modes for showing the tag set in the event text
+const TAG_TEXT_MODES = {
+  OFF: 'off',
+  TITLE: 'title',
+  DESCRIPTION: 'description'
+};
+// Markers around the tag block in event descriptions
+const TAG_BLOCK_START = '[Tags]';
+const TAG_BLOCK_END = '[/Tags]';
+
+// Tag group selection modes, as written in the Mode column of the Groups sheet
+const GROUP_MODES = {
+  EXACTLY_ONE: 'exactly one',
+  AT_MOST_ONE: 'at most one',
+  AT_LEAST_ONE: 'at least one'
+};
+const GROUPS_SHEET_NAME = 'Groups';
+
+// Title words too common to say anything about an event's tags
+const SUGGESTION_STOP_WORDS = ['the', 'and', 'for', 'with', 'meeting', 'call', 'sync', 'weekly', 'daily', 'catch', 'chat'];
+
+// Archived tags are moved to this sheet of the configured spreadsheet
+const ARCHIVED_TAGS_SHEET_NAME = 'Archived Tags';
+
+// Settings from the homepage configuration, which an organisation configuration may also set
+const CONFIG_SETTINGS = {
+  spreadsheetId: 'Spreadsheet ID',
+  sheetName: 'Sheet Name',
+  column: 'Tag Column',
+  emailDomainColumn: 'Email Domain Column',
+  headerRow: 'First Row Is a Header',
+  colorColumn: 'Tag Color Column',
+  groupColumn: 'Tag Group Column',
+  csvFileId: 'Drive CSV File ID',
+  inlineTags: 'Inline Tags',
+  catalogueUrl: 'Central Catalogue URL',
+  tagSourceOrder: 'Tag Source Precedence',
+  excludedDomains: 'Domains to Ignore for Auto-tagging',
+  excludeOwnDomain: 'Ignore My Own Domain',
+  internalDomains: 'Other Internal Domains',
+  tagTextMode: 'Show Tags in Event Text',
+  tagTextPlacement: 'Title Tag Placement'
+};
+// Homepage dropdown value that clears the user's own value of a setting, so the organisation's applies
+const ORG_DEFAULT_SETTING = 'orgDefault';
+// The settings that locate the tag sheet and its columns, resolved together by getSpreadsheetSettings
+const SPREADSHEET_SETTINGS = ['spreadsheetId', 'sheetName', 'column', 'emailDomainColumn', 'colorColumn', 'groupColumn', 'headerRow'];
+// Column settings that may be given as a letter or as a header name in row 1
+const SPREADSHEET_COLUMNS = {
+  column: 'Tag column',
+  emailDomainColumn: 'Email domain column',
+  colorColumn: 'Tag color column',
+  groupColumn: 'Tag group column'
+};
+
+// Where tags can be loaded from; a source is used when its settings are filled in
+const TAG_SOURCES = {
+  catalogue: {
+    label: 'Central catalogue',
+    isConfigured: () => !!getSetting("catalogueUrl"),
+    load: loadCatalogueTagSource
+  },
+  spreadsheet: {
+    label: 'Spreadsheet',
+    isConfigured: () => !!getSetting("spreadsheetId"),
+    load: loadSpreadsheetTagSource
+  },
+  csv: {
+    label: 'Drive CSV file',
+    isConfigured: () => !!getSetting("csvFileId"),
+    load: loadCsvTagSource
+  },
+  inline: {
+    label: 'Inline list',
+    isConfigured: () => !!getSetting("inlineTags"),
+    load: loadInlineTagSource
+  }
+};
+const DEFAULT_TAG_SOURCE_ORDER = ['catalogue', 'spreadsheet', 'csv', 'inline'];
+
+// Every change to saved tags is logged to this sheet of the configured spreadsheet
+const TAG_HISTORY_SHEET_NAME = 'Tag History';
+const TAG_HISTORY_HEADERS = ['Timestamp', 'User', 'Calendar', 'Event', 'Title', 'Previous Tags', 'New Tags', 'Changed By'];
+
+// How a tag change was made, as logged in the tag history
+const TAG_CHANGE_PATHS = {
+  MANUAL: 'manual click',
+  AUTO_TAG: 'auto-tag',
+  BACKGROUND: 'background save',
+  EVENT_SAVE: 'event save',
+  UNDO: 'undo',
+  TAG_MIGRATION: 'tag rename'
+};
+
+// Reports list time on events without tags under this label
+const UNTAGGED_LABEL = '(untagged)';
+
+// Pending tag writes are kept in user properties, one entry per event, under this prefix
+const QUEUE_PREFIX = 'tagQueue_';
+const QUEUE_STATUS = {
+  PENDING: 'pending',
+  FAILED: 'failed',
+  CONFLICT: 'conflict',
+  SAVED: 'saved'
+};
 
 /**
- * Helper function for logging. Only logs if DEBUG_MODE is enabled.
+ * Helper function for logging. Only logs if DEBUG_MODE or the organisation's debugMode is enabled.
  * @param {string} message - The message to log.
  * @param {...any} params - Optional additional parameters to log.
  */
 function log(message, ...params) {
-  if (DEBUG_MODE) {
+  if (DEBUG_MODE || getOrgConfig().debugMode === true) {
     console.log(`${message}`, ...params);
   }
 }
@@ -30,17 +223,33 @@ function log(message, ...params) {
 function onCalendarEventOpen(e) {
   log('onCalendarEventOpen called', e);
 
+  // Time spent in each step, logged at the end in debug mode
+  const timings = {};
+  let lapStart = Date.now();
+  const lap = step => {
+    const now = Date.now();
+    timings[step] = now - lapStart;
+    lapStart = now;
+  };
+
   const calendarId = e.calendar.calendarId;
   let eventId = e.calendar.id;
   let eventTitle = null;
   let attendees = [];
+  let etag = null;
+  let savedTags = null;
+  let event = null;
 
   // Try to fetch the event to get the title and attendees, handle new events
   if (eventId) {
     try {
-      const event = Calendar.Events.get(calendarId, eventId);
+      event = Calendar.Events.get(calendarId, eventId);
       eventTitle = event.summary;
       attendees = event.attendees || [];
+      etag = event.etag;
+      // A modified occurrence keeps its own copy of the series' properties, so only the
+      // series itself (just its extendedProperties) tells what an occurrence inherits
+      savedTags = readEventTags(event, calendarId);
       log('Fetched event title:', eventTitle);
       log('Fetched attendees:', attendees);
     } catch (error) {
@@ -50,6 +259,7 @@ function onCalendarEventOpen(e) {
   } else {
     log('New event detected.');
   }
+  lap('fetchEvent');
 
   log(`Calendar ID: ${calendarId}, Event ID: ${eventId}, Event Title: ${eventTitle}`);
 
@@ -58,43 +268,128 @@ function onCalendarEventOpen(e) {
     return buildErrorCard("Calendar ID is not available. Please try again later.");
   }
 
-  // Store calendarId in cache for later use by saveTagsFromCache
-  userCache.put('calendarId', calendarId, 21600); // Cache for 6 hours
+  const cacheKey = buildCacheKey(calendarId, eventId);
 
-  const cacheKey = eventId ? `selectedTags_${eventId}` : `selectedTags_new_${Utilities.getUuid()}`;
+  if (eventId) {
+    putBaseline(cacheKey, { calendarId: calendarId, etag: etag, tags: savedTags, title: eventTitle });
+    rememberTagScope(cacheKey, event);
+    rememberTagVisibility(cacheKey, event);
+  }
 
   let selectedTags = JSON.parse(userCache.get(cacheKey));
 
+  // Tags still waiting to be written take precedence over what the event has saved
+  if (!selectedTags) {
+    const queuedEntry = getQueueEntry(cacheKey);
+    if (queuedEntry) {
+      log('Loading tags from pending write queue:', queuedEntry.tags);
+      selectedTags = queuedEntry.tags;
+      userCache.put(cacheKey, JSON.stringify(selectedTags), getCacheTime());
+    }
+  }
+
   if (!selectedTags) {
-    log('No cached tags found. Loading from event or initializing.');
-    selectedTags = loadSelectedTags(calendarId, eventId);
+    log('No cached tags found. Using the saved tags of the fetched event.');
+    // The event was fetched above, so its saved tags need no second request
+    selectedTags = new Set(savedTags || []);
+    getUserTags();
+    lap('loadTags');
 
     // Extract tag from title if it's a new event or tags were not loaded
     // Update: Extract all matching tags
+    const autoTagSources = {};
     if (!eventId || selectedTags.size === 0) {
       const extractedTags = extractTagFromTitle(eventTitle);
       log(`Extracted Tags from Title: ${extractedTags}`);
-      extractedTags.forEach(tag => selectedTags.add(tag));
+      extractedTags.forEach(tag => {
+        selectedTags.add(tag);
+        autoTagSources[tag] = 'Event title';
+      });
     }
 
     // Auto Tag based on attendees
-    const autoTag = getAutoTagFromAttendees(attendees);
-    log('Auto-tag based on attendees:', autoTag);
-    if (autoTag) {
-      selectedTags.add(autoTag);
+    const autoTags = getAutoTagFromAttendees(attendees, autoTagSources);
+    log('Auto-tags based on attendees:', autoTags);
+    lap('attendeeTags');
+    if (autoTags.length > 0) {
+      autoTags.forEach(tag => selectedTags.add(tag));
       // Update the title if it's a new event
       if (!eventId) {
-        eventTitle = `${autoTag} ${eventTitle || ''}`.trim();
+        eventTitle = `${autoTags.join(' ')} ${eventTitle || ''}`.trim();
         log('Updated title with auto-tag:', eventTitle);
       }
     }
 
-    userCache.put(cacheKey, JSON.stringify(Array.from(selectedTags)), CACHE_TIME);
+    // Auto Tag as internal or external, unless the user already chose one
+    const meetingType = classifyMeeting(attendees);
+    if (meetingType && !selectedTags.has(INTERNAL_MEETING_TAG) && !selectedTags.has(EXTERNAL_MEETING_TAG)) {
+      selectedTags.add(meetingType);
+      autoTagSources[meetingType] = 'Attendee domains';
+    }
+
+    // Auto Tag based on the Rules sheet
+    if (event) {
+      Object.assign(autoTagSources, applyRules(event, selectedTags, savedTags));
+    }
+    Object.keys(autoTagSources).forEach(tag => {
+      if (!selectedTags.has(tag)) delete autoTagSources[tag];
+    });
+    lap('rules');
+    userCache.put(`autoTagSources_${cacheKey}`, JSON.stringify(autoTagSources), 21600); // Cache for 6 hours
+
+    // Suggestions from the user's tagging history
+    if (event) {
+      userCache.put(`suggestedTags_${cacheKey}`, JSON.stringify(suggestTagsForEvent(event, selectedTags)), 21600); // Cache for 6 hours
+    }
+
+    userCache.put(cacheKey, JSON.stringify(Array.from(selectedTags)), getCacheTime());
+    lap('suggestions');
   } else {
     log('Loading tags from cacheKey:', cacheKey);
   }
 
-  return showTagDialog(new Set(selectedTags), cacheKey, eventTitle);
+  const card = showTagDialog(new Set(selectedTags), cacheKey, eventTitle, calendarId, eventId);
+  lap('buildCard');
+  log('onCalendarEventOpen timings (ms):', timings);
+  return card;
+}
+
+/**
+ * Builds the cache key for an event. Event IDs are only unique within a calendar,
+ * so the key carries both IDs; new events get a draft key until they are saved.
+ * @param {string} calendarId - The ID of the calendar.
+ * @param {string} eventId - The ID of the event, or null for a new event.
+ * @returns {string} The cache key.
+ */
+function buildCacheKey(calendarId, eventId) {
+  return eventId ? `selectedTags_${calendarId}_${eventId}` : `selectedTags_new_${Utilities.getUuid()}`;
+}
+
+/**
+ * Gets the display name of a calendar, falling back to its ID.
+ * @param {string} calendarId - The ID of the calendar.
+ * @returns {string} The calendar name.
+ */
+function getCalendarName(calendarId) {
+  if (!calendarId) {
+    return '';
+  }
+
+  const cacheKey = `calendarName_${calendarId}`;
+  let name = userCache.get(cacheKey);
+
+  if (!name) {
+    try {
+      const calendar = Calendar.CalendarList.get(calendarId);
+      name = calendar.summaryOverride || calendar.summary || calendarId;
+    } catch (error) {
+      log(`Error fetching calendar ${calendarId}: ${error.message}`);
+      name = calendarId;
+    }
+    userCache.put(cacheKey, name, 21600); // Cache for 6 hours
+  }
+
+  return name;
 }
 
 
@@ -114,15 +409,10 @@ function loadSelectedTags(calendarId, eventId) {
   }
 
   try {
-    const event = Calendar.Events.get(calendarId, eventId, { fields: 'id,extendedProperties' }); // Fetch only necessary fields
-    if (event.extendedProperties?.private?.selectedTags) {
-      const selectedTags = new Set(JSON.parse(event.extendedProperties.private.selectedTags));
-      log("Loaded saved tags:", selectedTags);
-      return selectedTags;
-    } else {
-      log("No tags saved, initializing as empty");
-      return new Set();
-    }
+    const event = Calendar.Events.get(calendarId, eventId, { fields: 'id,recurringEventId,originalStartTime,start,extendedProperties' }); // Fetch only necessary fields
+    const selectedTags = new Set(readEventTags(event, calendarId));
+    log("Loaded saved tags:", selectedTags);
+    return selectedTags;
   } catch (error) {
     log(`Error retrieving event: ${error.message}`);
     return new Set();
@@ -134,11 +424,13 @@ function loadSelectedTags(calendarId, eventId) {
  * @param {Set<string>} selectedTags - The set of currently selected tags.
  * @param {string} cacheKey - The cache key for the current event.
  * @param {string} title - The updated event title.
+ * @param {string} calendarId - The ID of the calendar.
+ * @param {string} eventId - The ID of the event, or null for a new event.
  */
-function showTagDialog(selectedTags, cacheKey, title) {
+function showTagDialog(selectedTags, cacheKey, title, calendarId, eventId) {
   log('showTagDialog called', selectedTags);
 
-  const card = rebuildCard(selectedTags, cacheKey, title);
+  const card = rebuildCard(selectedTags, cacheKey, title, calendarId, eventId);
 
   return CardService.newActionResponseBuilder()
     .setNavigation(CardService.newNavigation().pushCard(card))
@@ -163,41 +455,285 @@ function handleTagClick(e) {
     return buildErrorCard('Cache Key is missing.');
   }
 
-  let selectedTags;
+  const calendarId = e.parameters.calendarId;
+  const eventId = e.parameters.eventId || null;
+
+  // Recurring events: remember which occurrences the user chose to change
+  const scope = e.formInput?.tag_scope || null;
+  if (scope) {
+    userCache.put(`tagScope_${cacheKey}`, scope, 21600); // Cache for 6 hours
+  }
+
+  const selectedTags = getCardTags(cacheKey, calendarId, eventId);
+
+  if (selectedTags.has(clickedTag)) {
+    selectedTags.delete(clickedTag);
+  } else {
+    selectedTags.add(clickedTag);
+    deselectGroupSiblings(selectedTags, clickedTag);
+    recordTagUse(clickedTag);
+  }
+  log('Toggled tags:', selectedTags);
+
+  // Queue the change so it is written even if the cache expires first
+  try {
+    enqueueTagWrite(cacheKey, selectedTags, calendarId, eventId, scope);
+  } catch (error) {
+    return buildNotSavedResponse(error);
+  }
+
+  // Update Cache
+  userCache.put(cacheKey, JSON.stringify(Array.from(selectedTags)), getCacheTime()); // Refresh expiration
+
+  const updatedCard = rebuildCard(selectedTags, cacheKey, null, calendarId, eventId);
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(CardService.newNavigation().updateCard(updatedCard))
+    .setStateChanged(true)
+    .build();
+}
+
+/**
+ * Builds the response for a tag change that could not be queued, leaving the card as it was.
+ * @param {Error} error - Why the change was not saved.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function buildNotSavedResponse(error) {
+  log(`Tag change not saved: ${error.message}`);
+  return CardService.newActionResponseBuilder()
+    .setNotification(CardService.newNotification()
+      .setText(`Your change was not saved: ${error.message} Please try again.`))
+    .build();
+}
+
+/**
+ * Gets the tags currently selected on an event's card: the cached working copy,
+ * else a pending write, else the tags saved on the event.
+ * @param {string} cacheKey - The cache key for the current event.
+ * @param {string} calendarId - The ID of the calendar.
+ * @param {string} eventId - The ID of the event, or null for a new event.
+ * @returns {Set<string>} The selected tags.
+ */
+function getCardTags(cacheKey, calendarId, eventId) {
   try {
-    selectedTags = new Set(JSON.parse(userCache.get(cacheKey)));
+    const cachedTags = JSON.parse(userCache.get(cacheKey));
+    if (cachedTags) return new Set(cachedTags);
   } catch (error) {
     log(`Error parsing cached tags: ${error.message}`);
-    selectedTags = new Set();
   }
 
-  selectedTags.has(clickedTag) ? selectedTags.delete(clickedTag) : selectedTags.add(clickedTag);
-  log('Toggled tags:', selectedTags);
+  const queuedEntry = getQueueEntry(cacheKey);
+  if (queuedEntry) return new Set(queuedEntry.tags);
 
-  // Update Cache
-  userCache.put(cacheKey, JSON.stringify(Array.from(selectedTags)), CACHE_TIME); // Refresh expiration
+  return calendarId ? loadSelectedTags(calendarId, eventId) : new Set();
+}
+
+/**
+ * Handles undoing a tag change from the event card's history: saves the tags
+ * the change replaced straight away.
+ * @param {Object} e - The event object.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleUndoTagChange(e) {
+  log('handleUndoTagChange called', e);
+
+  const cacheKey = e.parameters.cacheKey;
+  const calendarId = e.parameters.calendarId;
+  const eventId = e.parameters.eventId || null;
+  const selectedTags = new Set(JSON.parse(e.parameters.tags));
+  const scope = e.formInput?.tag_scope || userCache.get(`tagScope_${cacheKey}`);
+
+  // Undo overwrites whatever is saved now, so it is not checked for conflicts,
+  // and restores tags the user chose, so none of them count as auto-added
+  userCache.remove(`autoTagSources_${cacheKey}`);
+  let status;
+  try {
+    enqueueTagWrite(cacheKey, selectedTags, calendarId, eventId, scope);
+    status = withQueueLock(() => {
+      const entry = getQueueEntry(cacheKey);
+      return entry ? processQueueEntry(entry, true, TAG_CHANGE_PATHS.UNDO) : null;
+    });
+  } catch (error) {
+    return buildNotSavedResponse(error);
+  }
+  userCache.put(cacheKey, JSON.stringify(Array.from(selectedTags)), getCacheTime());
+
+  return CardService.newActionResponseBuilder()
+    .setNotification(CardService.newNotification()
+      .setText(status === QUEUE_STATUS.SAVED ? "Tags restored." : "Tags restored; they will be saved shortly."))
+    .setNavigation(CardService.newNavigation().popToNamedCard('tagCard').updateCard(rebuildCard(selectedTags, cacheKey, null, calendarId, eventId)))
+    .setStateChanged(true)
+    .build();
+}
+
+/**
+ * Handles typing in the tag filter on the event card.
+ * @param {Object} e - The event object.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleTagFilter(e) {
+  log('handleTagFilter called', e);
+
+  const cacheKey = e.parameters.cacheKey;
+  const calendarId = e.parameters.calendarId;
+  const eventId = e.parameters.eventId || null;
+
+  userCache.put(`tagFilter_${cacheKey}`, e.formInput.tag_filter || '', getCacheTime());
+  userCache.remove(`tagPage_${cacheKey}`);
+
+  const updatedCard = rebuildCard(getCardTags(cacheKey, calendarId, eventId), cacheKey, null, calendarId, eventId);
+  return CardService.newActionResponseBuilder()
+    .setNavigation(CardService.newNavigation().updateCard(updatedCard))
+    .build();
+}
+
+/**
+ * Handles paging through the full tag list on the event card.
+ * @param {Object} e - The event object.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleTagPage(e) {
+  log('handleTagPage called', e);
+
+  const cacheKey = e.parameters.cacheKey;
+  const calendarId = e.parameters.calendarId;
+  const eventId = e.parameters.eventId || null;
 
-  // Add event to modified events stack
-  pushModifiedEvent(cacheKey);
+  userCache.put(`tagPage_${cacheKey}`, e.parameters.page, getCacheTime());
 
-  const updatedCard = rebuildCard(selectedTags, cacheKey);
+  const updatedCard = rebuildCard(getCardTags(cacheKey, calendarId, eventId), cacheKey, null, calendarId, eventId);
+  return CardService.newActionResponseBuilder()
+    .setNavigation(CardService.newNavigation().updateCard(updatedCard))
+    .build();
+}
+
+/**
+ * Handles suggesting tags while the user types a new tag on the event card.
+ * @param {Object} e - The event object.
+ * @returns {CardService.SuggestionsResponse} The suggestions.
+ */
+function handleTagSuggestions(e) {
+  const query = (e.formInput.new_event_tag || '').replace(/^#/, '').toLowerCase();
+  const suggestions = getUserTags()
+    .filter(tag => tag.toLowerCase().includes(query))
+    .slice(0, TAG_SUGGESTION_LIMIT);
+
+  return CardService.newSuggestionsResponseBuilder()
+    .setSuggestions(CardService.newSuggestions().addSuggestions(suggestions))
+    .build();
+}
+
+/**
+ * Handles applying a typed tag to the event, optionally adding it to the user's tag list.
+ * A tag that matches an existing one apart from case takes the existing spelling.
+ * @param {Object} e - The event object.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleAddEventTag(e) {
+  log('handleAddEventTag called', e);
+
+  const cacheKey = e.parameters.cacheKey;
+  const calendarId = e.parameters.calendarId;
+  const eventId = e.parameters.eventId || null;
+  const saveToList = e.parameters.saveToList === 'true';
+
+  let tag = normalizeTag(e.formInput.new_event_tag);
+  if (!tag) {
+    return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification()
+        .setText("Type a tag to add."))
+      .build();
+  }
+
+  const existingTag = getUserTags().find(item => item.toLowerCase() === tag.toLowerCase());
+  tag = existingTag || tag;
+
+  const scope = e.formInput.tag_scope || null;
+  if (scope) {
+    userCache.put(`tagScope_${cacheKey}`, scope, 21600); // Cache for 6 hours
+  }
+
+  const selectedTags = getCardTags(cacheKey, calendarId, eventId);
+  selectedTags.add(tag);
+  deselectGroupSiblings(selectedTags, tag);
+
+  try {
+    enqueueTagWrite(cacheKey, selectedTags, calendarId, eventId, scope);
+  } catch (error) {
+    return buildNotSavedResponse(error);
+  }
+  userCache.put(cacheKey, JSON.stringify(Array.from(selectedTags)), getCacheTime());
+  recordTagUse(tag);
+
+  let message = `${tag} applied.`;
+  if (saveToList && !existingTag) {
+    try {
+      appendTagToSheet(tag);
+      message = `${tag} applied and added to your tag list.`;
+    } catch (error) {
+      log(`Error adding ${tag} to the tag list: ${error.message}`, error);
+      message = `${tag} applied, but it couldn't be added to your tag list: ${error.message}`;
+    }
+  }
 
+  const updatedCard = rebuildCard(selectedTags, cacheKey, null, calendarId, eventId);
   return CardService.newActionResponseBuilder()
+    .setNotification(CardService.newNotification()
+      .setText(message))
     .setNavigation(CardService.newNavigation().updateCard(updatedCard))
     .setStateChanged(true)
     .build();
 }
 
+/**
+ * Records that the user selected a tag, for the "Recently Used" list.
+ * @param {string} tag - The tag.
+ */
+function recordTagUse(tag) {
+  const recentTags = (JSON.parse(userProperties.getProperty("recentTags")) || []).filter(item => item !== tag);
+  recentTags.unshift(tag);
+  userProperties.setProperty("recentTags", JSON.stringify(recentTags.slice(0, RECENT_TAGS_LIMIT)));
+}
+
+/**
+ * Gets the user's favourite tags, in the order they were added.
+ * @returns {string[]} The favourite tags.
+ */
+function getFavoriteTags() {
+  return JSON.parse(userProperties.getProperty("favoriteTags")) || [];
+}
+
+/**
+ * Handles adding or removing a tag from the user's favourites.
+ * @param {Object} e - The event object.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleToggleFavoriteTag(e) {
+  log('handleToggleFavoriteTag called', e);
+
+  const tag = e.parameters.tag;
+  let favorites = getFavoriteTags();
+  const isFavorite = favorites.includes(tag);
+  favorites = isFavorite ? favorites.filter(item => item !== tag) : [...favorites, tag];
+  userProperties.setProperty("favoriteTags", JSON.stringify(favorites));
+
+  return buildTagManagementResponse(isFavorite ? `${tag} removed from favorites.` : `${tag} added to favorites.`);
+}
+
 /**
  * Builds the card with tag buttons based on the selectedTags.
  * @param {Set<string>} selectedTags - The set of currently selected tags.
  * @param {string} cacheKey - The cache key for the current event.
  * @param {string} title - The updated event title.
+ * @param {string} calendarId - The ID of the calendar.
+ * @param {string} eventId - The ID of the event, or null for a new event.
  */
-function rebuildCard(selectedTags, cacheKey, title) {
+function rebuildCard(selectedTags, cacheKey, title, calendarId, eventId) {
   log('rebuildCard called', selectedTags);
 
   const USER_TAGS = new Set(getUserTags());
+  const tagColors = getTagColors();
+  const actionParameters = { cacheKey: cacheKey, calendarId: calendarId || '', eventId: eventId || '' };
 
   const tagButtons = [];
 
@@ -211,12 +747,13 @@ function rebuildCard(selectedTags, cacheKey, title) {
       .setTextButtonStyle(isUserTag ? CardService.TextButtonStyle.FILLED : CardService.TextButtonStyle.TEXT)
       .setOnClickAction(CardService.newAction()
         .setFunctionName('handleTagClick')
-        .setParameters({ tag: tag, cacheKey: cacheKey }));
+        .setParameters(Object.assign({ tag: tag }, actionParameters)));
 
-    // Only set background color if it's NOT a user tag
-    if (!isUserTag) {
+    // User tags show their event colour; other tags are greyed out
+    const tagColor = isUserTag ? getTagButtonColor(tag, tagColors) : "#d3d3d3";
+    if (tagColor) {
       try {
-        button = button.setBackgroundColor("#d3d3d3");
+        button = button.setBackgroundColor(tagColor);
       } catch (error) {
         log(`Error setting background color for tag ${tag}: ${error.message}`);
         // Optional: Handle the error, e.g., add the tag to a list of problem tags to report later
@@ -226,502 +763,5265 @@ function rebuildCard(selectedTags, cacheKey, title) {
     tagButtons.push(button);
   }
 
-  // Create buttons for USER_TAGS that are not already selected
-  for (const tag of USER_TAGS) {
-    if (!selectedTags.has(tag)) {
-      tagButtons.push(CardService.newTextButton()
-        .setText(tag)
-        .setTextButtonStyle(CardService.TextButtonStyle.TEXT)
-        .setOnClickAction(CardService.newAction()
-          .setFunctionName('handleTagClick')
-          .setParameters({ tag: tag, cacheKey: cacheKey })));
-    }
-  }
-
   const buttonsSet = CardService.newButtonSet();
   tagButtons.forEach(button => buttonsSet.addButton(button));
 
+  const filter = (userCache.get(`tagFilter_${cacheKey}`) || '').trim().toLowerCase();
+  const matchesFilter = tag => !filter || tag.toLowerCase().includes(filter);
+  const unselectedTags = Array.from(USER_TAGS).filter(tag => !selectedTags.has(tag) && matchesFilter(tag));
+
+  const buildTagButtons = (tags, label) => {
+    const buttons = CardService.newButtonSet();
+    tags.forEach(tag => buttons.addButton(CardService.newTextButton()
+      .setText(label ? label(tag) : tag)
+      .setTextButtonStyle(CardService.TextButtonStyle.TEXT)
+      .setOnClickAction(CardService.newAction()
+        .setFunctionName('handleTagClick')
+        .setParameters(Object.assign({ tag: tag }, actionParameters)))));
+    return buttons;
+  };
+
   const buttonSection = CardService.newCardSection()
     .setHeader("Select Tags")
-    .addWidget(buttonsSet);
+    .addWidget(CardService.newTextInput()
+      .setFieldName("tag_filter")
+      .setTitle("Filter tags")
+      .setValue(filter)
+      .setOnChangeAction(CardService.newAction()
+        .setFunctionName('handleTagFilter')
+        .setParameters(actionParameters)));
 
-  const titleSection = CardService.newCardSection()
-    .setHeader("Event Title")
-    .addWidget(CardService.newTextParagraph()
-      .setText(title || ""));
+  if (tagButtons.length > 0) {
+    buttonSection.addWidget(buttonsSet);
+  }
 
-  return CardService.newCardBuilder()
-    .addSection(titleSection)
-    .addSection(buttonSection)
-    .setName('tagCard')
-    .build();
-}
+  const suggestedTags = (JSON.parse(userCache.get(`suggestedTags_${cacheKey}`)) || [])
+    .filter(tag => unselectedTags.includes(tag));
+  if (suggestedTags.length > 0) {
+    buttonSection.addWidget(CardService.newTextParagraph().setText("<b>Suggested</b>"));
+    buttonSection.addWidget(buildTagButtons(suggestedTags));
+  }
 
+  // Favourites and recently used tags come first, so they are never paged away
+  const favoriteTags = getFavoriteTags().filter(tag => unselectedTags.includes(tag));
+  if (favoriteTags.length > 0) {
+    buttonSection.addWidget(CardService.newTextParagraph().setText("<b>Favorites</b>"));
+    buttonSection.addWidget(buildTagButtons(favoriteTags));
+  }
 
-/**
- * Pushes a cache key onto the ModifiedEvents stack stored in User Cache.
- *
- * @param {string} cacheKey - The cache key to push onto the stack.
- */
-function pushModifiedEvent(cacheKey) {
-  log('pushModifiedEvent called', cacheKey);
+  const recentTags = (JSON.parse(userProperties.getProperty("recentTags")) || [])
+    .filter(tag => unselectedTags.includes(tag) && !favoriteTags.includes(tag));
+  if (recentTags.length > 0) {
+    buttonSection.addWidget(CardService.newTextParagraph().setText("<b>Recently Used</b>"));
+    buttonSection.addWidget(buildTagButtons(recentTags));
+  }
 
-  let stack = JSON.parse(userCache.get('ModifiedEvents')) || {};
-  log('Current stack:', stack);
+  // The rest of the list, one page at a time, one section per parent tag
+  const otherTags = unselectedTags.filter(tag => !favoriteTags.includes(tag) && !recentTags.includes(tag));
+  const pageCount = Math.max(1, Math.ceil(otherTags.length / TAG_PAGE_SIZE));
+  const page = Math.min(Number(userCache.get(`tagPage_${cacheKey}`)) || 0, pageCount - 1);
+  const tagsByParent = groupTagsByParent(otherTags.slice(page * TAG_PAGE_SIZE, (page + 1) * TAG_PAGE_SIZE));
+  const parentSections = [];
 
-  // Add the new cache key to the stack
-  //stack.push(cacheKey);
-  stack[cacheKey] = "Dirty"; //Mark the status
+  if (filter && unselectedTags.length === 0) {
+    buttonSection.addWidget(CardService.newTextParagraph()
+      .setText(`No tags match "${filter}".`));
+  }
 
-  // Store the updated stack in the cache
-  userCache.put('ModifiedEvents', JSON.stringify(stack), CACHE_TIME);
-  log('Updated stack:', stack);
-}
+  tagsByParent.forEach((tags, parent) => {
+    if (tags.length === 0) return;
 
-/**
- * Saves the selected tags for all modified events in the cache to their respective events.
- */
-function saveTagsFromCache() {
-  log('saveTagsFromCache called');
+    if (!parent) {
+      if (favoriteTags.length > 0 || recentTags.length > 0) {
+        buttonSection.addWidget(CardService.newTextParagraph().setText("<b>All Tags</b>"));
+      }
+      buttonSection.addWidget(buildTagButtons(tags));
+      return;
+    }
 
-  const stack = JSON.parse(userCache.get('ModifiedEvents'));
-  log('Modified events stack:', stack);
+    // A filter opens the sections so the matches are visible
+    const section = CardService.newCardSection()
+      .setHeader(parent)
+      .addWidget(buildTagButtons(tags, tag => getTagLabelUnder(tag, parent)));
+    if (!filter) {
+      section.setCollapsible(true).setNumUncollapsibleWidgets(0);
+    }
+    parentSections.push(section);
+  });
 
-  if (!stack) {
-    log('No modified events found.');
-    return;
+  const newTagSection = CardService.newCardSection()
+    .setHeader("Add a Tag")
+    .setCollapsible(true)
+    .setNumUncollapsibleWidgets(1)
+    .addWidget(CardService.newTextInput()
+      .setFieldName("new_event_tag")
+      .setTitle("New tag")
+      .setSuggestionsAction(CardService.newAction()
+        .setFunctionName('handleTagSuggestions')))
+    .addWidget(CardService.newButtonSet()
+      .addButton(CardService.newTextButton()
+        .setText("Apply")
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName('handleAddEventTag')
+          .setParameters(Object.assign({ saveToList: 'false' }, actionParameters))))
+      .addButton(CardService.newTextButton()
+        .setText("Apply & Add to My Tags")
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName('handleAddEventTag')
+          .setParameters(Object.assign({ saveToList: 'true' }, actionParameters)))));
+
+  const pagingSection = CardService.newCardSection();
+  if (pageCount > 1) {
+    const pagingButtons = CardService.newButtonSet();
+    if (page > 0) {
+      pagingButtons.addButton(CardService.newTextButton()
+        .setText("Previous")
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName('handleTagPage')
+          .setParameters(Object.assign({ page: String(page - 1) }, actionParameters))));
+    }
+    if (page < pageCount - 1) {
+      pagingButtons.addButton(CardService.newTextButton()
+        .setText("More Tags")
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName('handleTagPage')
+          .setParameters(Object.assign({ page: String(page + 1) }, actionParameters))));
+    }
+    pagingSection
+      .addWidget(CardService.newTextParagraph()
+        .setText(`Page ${page + 1} of ${pageCount}`))
+      .addWidget(pagingButtons);
   }
 
-  const calendarId = userCache.get('calendarId');
-  log('Calendar ID:', calendarId);
+  const scope = userCache.get(`tagScope_${cacheKey}`);
+  const scopeSection = CardService.newCardSection()
+    .setHeader("Recurring Event")
+    .addWidget(CardService.newSelectionInput()
+      .setType(CardService.SelectionInputType.RADIO_BUTTON)
+      .setFieldName("tag_scope")
+      .setTitle("Apply tag changes to")
+      .addItem("This event", TAG_SCOPES.INSTANCE, scope === TAG_SCOPES.INSTANCE)
+      .addItem("This and following events", TAG_SCOPES.FOLLOWING, scope === TAG_SCOPES.FOLLOWING)
+      .addItem("All events", TAG_SCOPES.SERIES, scope === TAG_SCOPES.SERIES));
 
-  if (!calendarId) {
-    log('Error: Calendar ID not found in cache.');
-    return;
-  }
+  const autoTagSources = JSON.parse(userCache.get(`autoTagSources_${cacheKey}`)) || {};
+  const autoTagSection = CardService.newCardSection()
+    .setHeader("Auto-tags")
+    .setCollapsible(true);
+  Object.keys(autoTagSources).filter(tag => selectedTags.has(tag)).forEach(tag => {
+    autoTagSection.addWidget(CardService.newDecoratedText()
+      .setText(tag)
+      .setBottomLabel(`Added by: ${autoTagSources[tag]}`));
+  });
 
-  // Iterate through the modified events stack
-  //for (let cacheKey of stack) {
-  for (let cacheKey in stack) {
-    if (stack[cacheKey] === "Dirty") {
-      const eventId = cacheKey.startsWith('selectedTags_new_') ? null : cacheKey.substring('selectedTags_'.length);
-      log(`Processing cache key: ${cacheKey}, Event ID: ${eventId}`);
+  const titleSection = CardService.newCardSection()
+    .setHeader("Event Title")
+    .addWidget(CardService.newTextParagraph()
+      .setText(title || ""))
+    .addWidget(CardService.newDecoratedText()
+      .setTopLabel("Calendar")
+      .setText(getCalendarName(calendarId)));
 
-      const selectedTags = JSON.parse(userCache.get(cacheKey));
-      log('Selected tags from cache:', selectedTags);
+  const card = CardService.newCardBuilder()
+    .addSection(titleSection);
 
-      if (!selectedTags) {
-        log(`No tags found for cache key: ${cacheKey}. Skipping.`);
-        continue;
-      }
+  const problems = validateTagGroups(selectedTags);
+  if (problems.length > 0) {
+    const problemSection = CardService.newCardSection()
+      .setHeader("Needs Attention");
+    problems.forEach(problem => problemSection.addWidget(CardService.newTextParagraph()
+      .setText(`<font color="#d50000">${problem}</font>`)));
+    card.addSection(problemSection);
+  }
 
-      try {
-           if (eventId) {
-            // Existing event
-            let event = Calendar.Events.get(calendarId, eventId); 
-            log('Event retrieved:', event);
-
-            event.extendedProperties = event.extendedProperties || { private: {} };
-            event.extendedProperties.private.selectedTags = JSON.stringify(Array.from(selectedTags));
-
-            Calendar.Events.update(event, calendarId, eventId);
-            log(`Tags saved to event: ${eventId}`);
-
-            // Invalidate Cache after successful update
-            userCache.remove(cacheKey);
-          } else {
-          // New event - We should still keep it in modifiedEvents stack for later updates
-          log('New event. Tags are not saved yet.');
-          continue;
-        }
+  if (scope) {
+    card.addSection(scopeSection);
+  }
+  card.addSection(buttonSection);
+  parentSections.forEach(section => card.addSection(section));
+  if (pageCount > 1) {
+    card.addSection(pagingSection);
+  }
+  card.addSection(newTagSection);
 
-        // Remove the processed event from the stack (if it was an existing event)
-        //const index = stack.indexOf(cacheKey);
-        //if (index > -1) {
-        //  stack.splice(index, 1);
-        //}
+  if (Object.keys(autoTagSources).some(tag => selectedTags.has(tag))) {
+    card.addSection(autoTagSection);
+  }
 
-        // Mark as Clean
-        stack[cacheKey] = "Clean";
+  const visibilitySection = buildTagVisibilitySection(selectedTags, cacheKey, calendarId);
+  if (visibilitySection) {
+    card.addSection(visibilitySection);
+  }
 
-      } catch (error) {
-        log(`Error saving tags for event ${eventId}: ${error}`);
-      }
-    }
+  // The history is read from the Tag History sheet, so it is only loaded on request
+  if (eventId) {
+    card.addSection(CardService.newCardSection()
+      .addWidget(CardService.newTextButton()
+        .setText("Show Tag History")
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName('handleShowTagHistory')
+          .setParameters(actionParameters))));
   }
 
-  // Update the stack in the cache
-  userCache.put('ModifiedEvents', JSON.stringify(stack), 21);
-  log('Modified events stack updated:', stack);
+  return card
+    .setName('tagCard')
+    .build();
 }
 
+
 /**
- * Builds an error card with a given message.
- * @param {string} message - The error message to display.
- * @returns {CardService.Card} The error card.
+ * Returns the property key used to store the pending write for a cache key.
+ * @param {string} cacheKey - The cache key of the event.
+ * @returns {string} The user property key.
  */
-function buildErrorCard(message) {
-  const card = CardService.newCardBuilder()
-    .setHeader(CardService.newCardHeader().setTitle('Error'))
-    .addSection(
-      CardService.newCardSection().addWidget(
-        CardService.newTextParagraph().setText(message)
-      )
-    )
-    .build();
-  return card;
+function queueKey(cacheKey) {
+  return `${QUEUE_PREFIX}${cacheKey}`;
 }
 
 /**
- * Triggers every 1 minute
+ * Gets the pending write entry for a cache key, if any.
+ * @param {string} cacheKey - The cache key of the event.
+ * @returns {Object|null} The queue entry or null.
  */
-function triggerEveryMinute() {
-  ScriptApp.newTrigger("saveTagsFromCache")
-    .timeBased()
-    .everyMinutes(1)
-    .create();
+function getQueueEntry(cacheKey) {
+  return JSON.parse(userProperties.getProperty(queueKey(cacheKey)));
 }
 
-
 /**
- * Extracts all tags from the event title that match valid tags in USER_TAGS (case-insensitive).
- * Returns an array of the matching tags from USER_TAGS.
- * @param {string} title - The event title.
- * @returns {string[]} - An array of matching tags from USER_TAGS.
+ * Stores a pending write entry.
+ * @param {Object} entry - The queue entry to store.
  */
-function extractTagFromTitle(title) {
-  if (!title) return [];
+function putQueueEntry(entry) {
+  entry.updatedAt = Date.now();
+  userProperties.setProperty(queueKey(entry.cacheKey), JSON.stringify(entry));
+}
 
-  const USER_TAGS = getUserTags();
-  const matchingTags = [];
+/**
+ * Removes the pending write entry for a cache key.
+ * @param {string} cacheKey - The cache key of the event.
+ */
+function removeQueueEntry(cacheKey) {
+  userProperties.deleteProperty(queueKey(cacheKey));
+}
 
-  // Use a regular expression to find all tags in the title (case-insensitive)
-  const tagRegex = /#\w+/gi;
-  let match;
-  while ((match = tagRegex.exec(title)) !== null) {
-    const extractedTag = match[0];
+/**
+ * Gets all pending write entries, oldest first.
+ * @returns {Object[]} The queue entries.
+ */
+function getQueueEntries() {
+  const properties = userProperties.getProperties();
+  return Object.keys(properties)
+    .filter(key => key.startsWith(QUEUE_PREFIX))
+    .map(key => JSON.parse(properties[key]))
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
 
-    // Find the matching tag in USER_TAGS (case-insensitive)
-    const matchingTag = USER_TAGS.find(tag => tag.toLowerCase() === extractedTag.toLowerCase());
+/**
+ * Runs a function while holding the user lock, so concurrent runs cannot
+ * overwrite each other's queue entries or suggestion index updates. Calls made
+ * while the lock is already held run straight away.
+ * @param {Function} fn - The function to run.
+ * @returns {*} The function's return value.
+ * @throws {Error} If the lock was not acquired; nothing has been queued or saved.
+ */
+function withQueueLock(fn) {
+  if (queueLockHeld) {
+    return fn();
+  }
 
-    if (matchingTag) {
-      matchingTags.push(matchingTag); // Add the matching tag to the array
-    }
+  const lock = LockService.getUserLock();
+  if (!lock.tryLock(10000)) {
+    log('Could not acquire queue lock.');
+    throw new Error('Another tag change is still being saved.');
+  }
+  queueLockHeld = true;
+  try {
+    return fn();
+  } finally {
+    queueLockHeld = false;
+    lock.releaseLock();
   }
+}
 
-  return matchingTags;
+/**
+ * Remembers the event's etag and saved tags as they were when the card was opened,
+ * so a later write can tell whether someone else changed the tags in between.
+ * @param {string} cacheKey - The cache key of the event.
+ * @param {Object} baseline - The etag, saved tags and title of the event.
+ */
+function putBaseline(cacheKey, baseline) {
+  userCache.put(`baseline_${cacheKey}`, JSON.stringify(baseline), 21600); // Cache for 6 hours
 }
 
 /**
- * Creates the onHomePageOpened trigger and card.
+ * For an occurrence of a recurring event, remembers which occurrences tag changes
+ * apply to. Changes apply to this occurrence only unless the user picks a wider scope.
+ * @param {string} cacheKey - The cache key of the event.
+ * @param {Object} event - The Calendar API event.
  */
-function onHomePageOpen() {
-  handleRefreshTags();
-  return createHomePageCard();
+function rememberTagScope(cacheKey, event) {
+  if (!event || !event.recurringEventId) {
+    userCache.remove(`tagScope_${cacheKey}`);
+    return;
+  }
+  if (!userCache.get(`tagScope_${cacheKey}`)) {
+    userCache.put(`tagScope_${cacheKey}`, TAG_SCOPES.INSTANCE, 21600); // Cache for 6 hours
+  }
 }
 
 /**
- * Creates the homepage card with spreadsheet configuration, tag display, and refresh button.
- *
- * @returns {CardService.Card} The homepage card.
+ * Adds or updates the pending write for an event with its current tag selection.
+ * The entry keeps the tags themselves, so they survive the card cache expiring.
+ * @param {string} cacheKey - The cache key of the event.
+ * @param {Set<string>} selectedTags - The tags to write.
+ * @param {string} calendarId - The ID of the calendar the event belongs to.
+ * @param {string} eventId - The ID of the event, or null for a new event.
+ * @param {string} [scope] - One of TAG_SCOPES, for an occurrence of a recurring event.
  */
-function createHomePageCard() {
-  log('createHomePageCard called');
-  const card = CardService.newCardBuilder();
+function enqueueTagWrite(cacheKey, selectedTags, calendarId, eventId, scope) {
+  log('enqueueTagWrite called', cacheKey);
 
-  // Spreadsheet ID input section
-  const spreadsheetIdInput = CardService.newTextInput()
-    .setFieldName("spreadsheet_id")
-    .setTitle("Enter Spreadsheet ID")
-    .setValue(userProperties.getProperty("spreadsheetId") || "");
+  withQueueLock(() => {
+    let entry = getQueueEntry(cacheKey);
 
-  const sheetNameInput = CardService.newTextInput()
-    .setFieldName("sheet_name")
-    .setTitle("Enter Sheet Name")
-    .setValue(userProperties.getProperty("sheetName") || "");
+    if (!entry) {
+      const baseline = JSON.parse(userCache.get(`baseline_${cacheKey}`)) || {};
+      entry = {
+        cacheKey: cacheKey,
+        calendarId: calendarId || baseline.calendarId || null,
+        eventId: eventId || null,
+        title: baseline.title || null,
+        baseEtag: baseline.etag || null,
+        baseTags: baseline.tags || null,
+        createdAt: Date.now()
+      };
+    }
 
-  const columnInput = CardService.newTextInput()
-    .setFieldName("column")
-    .setTitle("Enter Tag Column (e.g., A, B, C)")
-    .setValue(userProperties.getProperty("column") || "");
+    // A new selection resets any earlier failure
+    entry.tags = Array.from(selectedTags);
+    entry.autoTags = Object.keys(JSON.parse(userCache.get(`autoTagSources_${cacheKey}`)) || {});
+    entry.scope = scope || entry.scope || null;
+    entry.status = QUEUE_STATUS.PENDING;
+    entry.attempts = 0;
+    entry.nextAttemptAt = 0;
+    entry.lastError = null;
 
-  const emailDomainColumnInput = CardService.newTextInput()
-    .setFieldName("email_domain_column")
-    .setTitle("Enter Email Domain Column (e.g., A, B, C)")
-    .setValue(userProperties.getProperty("emailDomainColumn") || "");
+    putQueueEntry(entry);
+    log('Queued entry:', entry);
+  });
+}
 
-  const saveConfigAction = CardService.newAction()
-    .setFunctionName("handleSaveConfig");
+/**
+ * Tries to write one queued entry to its event and updates the entry's state.
+ * Must be called while holding the queue lock.
+ * @param {Object} entry - The queue entry.
+ * @param {boolean} [force] - Write even if the tags were changed elsewhere.
+ * @param {string} [path] - One of TAG_CHANGE_PATHS, for the tag history.
+ * @returns {string} The resulting status.
+ */
+function processQueueEntry(entry, force, path) {
+  log(`Processing queue entry: ${entry.cacheKey}, Calendar ID: ${entry.calendarId}, Event ID: ${entry.eventId}`);
 
-  const saveConfigButton = CardService.newTextButton()
-    .setText("Save Configuration")
-    .setOnClickAction(saveConfigAction);
+  try {
+    // The baseline is the opened occurrence, so it can only guard writes to that occurrence
+    const seriesWrite = entry.scope === TAG_SCOPES.SERIES || entry.scope === TAG_SCOPES.FOLLOWING;
+    const updatedEvent = writeTagsToEvent(entry.calendarId, entry.eventId, entry.tags, force || seriesWrite ? null : entry, entry.scope, path, entry.autoTags);
 
-  const configSection = CardService.newCardSection()
-    .setHeader("Spreadsheet Configuration")
-    .addWidget(spreadsheetIdInput)
-    .addWidget(sheetNameInput)
-    .addWidget(columnInput)
-    .addWidget(emailDomainColumnInput)
-    .addWidget(saveConfigButton);
+    if (!updatedEvent) {
+      entry.status = QUEUE_STATUS.CONFLICT;
+      entry.lastError = 'Tags were changed elsewhere since this event was opened.';
+      putQueueEntry(entry);
+      return entry.status;
+    }
 
-  card.addSection(configSection);
+    // Our own write is the new baseline for the next change to this event
+    if (seriesWrite) {
+      userCache.remove(`baseline_${entry.cacheKey}`);
+    } else {
+      putBaseline(entry.cacheKey, { calendarId: entry.calendarId, etag: updatedEvent.etag, tags: entry.tags, title: updatedEvent.summary });
+    }
+    removeQueueEntry(entry.cacheKey);
+    userCache.remove(entry.cacheKey);
+    return QUEUE_STATUS.SAVED;
+  } catch (error) {
+    log(`Error saving tags for event ${entry.eventId}: ${error}`);
+    entry.attempts = (entry.attempts || 0) + 1;
+    entry.lastError = error.message || String(error);
 
-  // Refresh button section
-  const refreshAction = CardService.newAction()
-    .setFunctionName("handleRefreshTags");
+    if (entry.attempts >= MAX_SAVE_ATTEMPTS) {
+      entry.status = QUEUE_STATUS.FAILED;
+    } else {
+      const backoff = RETRY_BACKOFF_SECONDS * Math.pow(2, entry.attempts - 1);
+      entry.nextAttemptAt = Date.now() + backoff * 1000;
+    }
 
-  const refreshButton = CardService.newTextButton()
-    .setText("Refresh Tags")
-    .setOnClickAction(refreshAction);
+    putQueueEntry(entry);
+    return entry.status;
+  }
+}
 
-  const refreshSection = CardService.newCardSection()
-    .setHeader("Refresh Tags")
-    .addWidget(refreshButton);
+/**
+ * Saves the selected tags for all due entries in the pending write queue to their events,
+ * then continues any long-running job with the time left of BACKGROUND_JOB_BUDGET_SECONDS.
+ */
+function saveTagsFromCache() {
+  log('saveTagsFromCache called');
 
-  card.addSection(refreshSection);
+  if (userProperties.getProperty('backgroundPaused') === 'true') {
+    log('Background save is paused.');
+    return;
+  }
 
-  // Current tags section
-  const currentTags = getUserTags();
-  const currentTagsSection = CardService.newCardSection()
-    .setHeader("Current Tags");
+  const run = { startedAt: Date.now(), saved: 0, failed: 0, error: null };
+  const secondsLeft = () => Math.max(0, run.startedAt / 1000 + BACKGROUND_JOB_BUDGET_SECONDS - Date.now() / 1000);
+  try {
+    saveDueQueueEntries(run);
+    refreshSuggestionIndexIfStale();
 
-  if (currentTags.length > 0) {
-    // Create buttons for each tag
-    const buttonsSet = CardService.newButtonSet();
-    currentTags.forEach(tag => {
-      const button = CardService.newTextButton()
-        .setText(tag)
-        .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
-        .setBackgroundColor("#d3d3d3")
-        .setOnClickAction(CardService.newAction()
-          .setFunctionName("handleTagClickFromHomepage")
-          .setParameters({ tag: tag }));
-      buttonsSet.addButton(button);
-    });
-    currentTagsSection.addWidget(buttonsSet);
-  } else {
-    currentTagsSection.addWidget(CardService.newTextParagraph()
-      .setText("Error: Unable to retrieve tags. Please check your spreadsheet configuration and try refreshing."));
+    // Add-ons' time-driven triggers run at most hourly, so long jobs continue from here
+    runRetroTagJob(secondsLeft());
+    runTagMigrationJob(secondsLeft());
+    runSuggestionRebuildJob(secondsLeft());
+  } catch (error) {
+    log(`Error in saveTagsFromCache: ${error.message}`, error);
+    run.error = error.message;
   }
+  run.finishedAt = Date.now();
+  recordBackgroundRun(run);
+}
 
-  card.addSection(currentTagsSection);
+/**
+ * Writes every due entry in the pending write queue to its event.
+ * @param {Object} run - Counts of entries saved and not saved, updated in place.
+ */
+function saveDueQueueEntries(run) {
+  withQueueLock(() => {
+    const now = Date.now();
+    const entries = getQueueEntries();
+    log('Pending write queue:', entries);
 
-  log('createHomePageCard finished');
-  return card.build();
+    for (const entry of entries) {
+      if (!entry.eventId) {
+        // Drafts wait for saveTagsToEvent to give them an event ID
+        if (now - entry.createdAt > DRAFT_EXPIRY_HOURS * 3600 * 1000) {
+          log(`Dropping abandoned draft: ${entry.cacheKey}`);
+          removeQueueEntry(entry.cacheKey);
+        }
+        continue;
+      }
+
+      if (entry.status !== QUEUE_STATUS.PENDING || entry.nextAttemptAt > now) {
+        continue;
+      }
+
+      if (!entry.calendarId) {
+        log(`Error: Calendar ID missing for ${entry.cacheKey}.`);
+        entry.status = QUEUE_STATUS.FAILED;
+        entry.lastError = 'The calendar for this event is unknown.';
+        putQueueEntry(entry);
+        run.failed++;
+        continue;
+      }
+
+      if (processQueueEntry(entry, false, TAG_CHANGE_PATHS.BACKGROUND) === QUEUE_STATUS.SAVED) {
+        run.saved++;
+      } else {
+        run.failed++;
+      }
+    }
+  });
 }
 
 /**
- * Handles refreshing the user tags from the spreadsheet.
- *
- * @returns {CardService.ActionResponse} The action response.
+ * Runs when an event is saved in Calendar (eventUpdateTrigger).
+ * Writes the selected tags to the event and, for a newly created event, carries the
+ * tags chosen while composing it over to the event ID it received on save.
+ * @param {Object} e - The event object.
  */
-function handleRefreshTags() {
-  log('handleRefreshTags called');
+function saveTagsToEvent(e) {
+  log('saveTagsToEvent called', e);
+
+  const calendarId = e.calendar.calendarId;
+  const eventId = e.calendar.id;
+
+  if (!calendarId || !eventId) {
+    log('Error: Calendar ID or Event ID is not available on save.');
+    return;
+  }
+
+  const cacheKey = buildCacheKey(calendarId, eventId);
 
   try {
-    // Invalidate cached tags
-    userProperties.deleteProperty("userTags");
+    withQueueLock(() => {
+      let entry = getQueueEntry(cacheKey);
 
-    // Force tag reload
-    const tags = getUserTags();
-    log('Tags after refresh:', tags);
+      // Brand-new event: move the draft it was composed with onto the saved event
+      const draftEntry = entry ? null : findDraftForEvent(calendarId, eventId);
+      if (draftEntry) {
+        const draftCacheKey = draftEntry.cacheKey;
+        log(`Carrying draft tags from ${draftCacheKey} to ${cacheKey}:`, draftEntry.tags);
+        removeQueueEntry(draftCacheKey);
+        userCache.remove(draftCacheKey);
 
-    log('handleRefreshTags finished');
-    // Create a new card with updated tag information
-    const updatedCard = createHomePageCard();
+        // The event may have been saved to a different calendar than it was composed on
+        entry = Object.assign(draftEntry, { cacheKey: cacheKey, calendarId: calendarId, eventId: eventId });
+        putQueueEntry(entry);
+      }
 
-    // Update the current card
-    return CardService.newActionResponseBuilder()
-        .setNavigation(CardService.newNavigation().updateCard(updatedCard))
-        .setStateChanged(true)
-        .build();
+      if (!entry) {
+        log(`No pending tags for event ${eventId}. Nothing to save.`);
+        return;
+      }
 
+      // Failures stay queued for saveTagsFromCache to retry
+      processQueueEntry(entry, false, TAG_CHANGE_PATHS.EVENT_SAVE);
+    });
   } catch (error) {
-    log(`Error in handleRefreshTags: ${error.message}`, error);
-    return CardService.newActionResponseBuilder()
-      .setNotification(CardService.newNotification()
-      .setText("Error refreshing tags. Check logs."))
-      .setStateChanged(true)
-      .build();
+    // Anything still queued is picked up by saveTagsFromCache
+    log(`Error in saveTagsToEvent: ${error.message}`, error);
   }
 }
+
 /**
- * Handles saving the spreadsheet configuration from the homepage card.
- *
- * @param {Object} e - The event object.
- * @returns {CardService.ActionResponse} The action response.
+ * Finds the draft an event was composed with. Each compose session queues its draft
+ * under its own key, so the draft is the latest one started before the event was
+ * created. Only an event created in the last few minutes can receive a draft, so an
+ * existing event being edited never picks one up. Must be called while holding the queue lock.
+ * @param {string} calendarId - The ID of the calendar.
+ * @param {string} eventId - The ID of the saved event.
+ * @returns {Object|null} The draft queue entry, or null if there is none.
  */
-function handleSaveConfig(e) {
-  log('handleSaveConfig called', e);
-  const spreadsheetId = e.formInput.spreadsheet_id;
-  const sheetName = e.formInput.sheet_name;
-  const column = e.formInput.column;
-  const emailDomainColumn = e.formInput.email_domain_column;
-  log(`Saving Spreadsheet ID: ${spreadsheetId}, Sheet Name: ${sheetName}, Tag Column: ${column}, Email Domain Column: ${emailDomainColumn}`);
+function findDraftForEvent(calendarId, eventId) {
+  const drafts = getQueueEntries().filter(entry => !entry.eventId);
+  if (drafts.length === 0) {
+    return null;
+  }
 
+  let created;
   try {
-    userProperties.setProperty("spreadsheetId", spreadsheetId);
-    userProperties.setProperty("sheetName", sheetName);
-    userProperties.setProperty("column", column);
-    userProperties.setProperty("emailDomainColumn", emailDomainColumn);
-
-    // Invalidate cached tags
-    userProperties.deleteProperty("userTags");
-
-    log('handleSaveConfig finished');
-    return CardService.newActionResponseBuilder()
-      .setNotification(CardService.newNotification()
-        .setText("Configuration saved."))
-      .setStateChanged(true)
-      .build();
+    created = new Date(Calendar.Events.get(calendarId, eventId).created).getTime();
   } catch (error) {
-    log(`Error in handleSaveConfig: ${error.message}`, error);
-    return CardService.newActionResponseBuilder()
-      .setNotification(CardService.newNotification()
-        .setText("Error saving configuration. Check logs."))
-      .setStateChanged(true)
-      .build();
+    log(`Error fetching event ${eventId} to match drafts: ${error.message}`);
+    return null;
   }
-}
 
-function getAutoTagFromAttendees(attendees) {
-  log('getAutoTagFromAttendees called', attendees);
-  const emailDomainColumn = userProperties.getProperty("emailDomainColumn");
+  if (Date.now() - created > NEW_EVENT_WINDOW_MINUTES * 60 * 1000) {
+    log(`Event ${eventId} was not just created; not carrying draft tags.`);
+    return null;
+  }
 
-  if (!emailDomainColumn) {
-    log('Email domain column not configured.');
+  const candidates = drafts.filter(entry => entry.createdAt <= created);
+  if (candidates.length === 0) {
+    log(`Event ${eventId} was created before any pending draft; not carrying draft tags.`);
     return null;
   }
+  return candidates.reduce((latest, entry) => entry.createdAt > latest.createdAt ? entry : latest);
+}
+
+/**
+ * Writes the selected tags into the event's private extended properties.
+ * If an expected state is given and the event's etag has moved on since then,
+ * the write is only made when the saved tags are still the ones that were loaded.
+ *
+ * For an instance of a recurring event, the scope decides where the tags go:
+ * SERIES writes them to the series itself, FOLLOWING records them on the series
+ * from this occurrence on, and INSTANCE (the default) overrides this occurrence only.
+ * @param {string} calendarId - The ID of the calendar.
+ * @param {string} eventId - The ID of the event.
+ * @param {Iterable<string>} selectedTags - The tags to save.
+ * @param {Object} [expected] - The baseEtag and baseTags recorded when the event was opened.
+ * @param {string} [scope] - One of TAG_SCOPES; only used for recurring events.
+ * @param {string} [path] - One of TAG_CHANGE_PATHS, for the tag history.
+ * @param {string[]} [autoTags] - Tags added automatically when the event was opened;
+ *     the tag history logs adding them as a separate auto-tag change.
+ * @returns {Object|null} The updated event, or null if nothing was written because of a conflict.
+ */
+function writeTagsToEvent(calendarId, eventId, selectedTags, expected, scope, path, autoTags) {
+  log('writeTagsToEvent called', calendarId, eventId, scope);
 
-  const spreadsheetId = userProperties.getProperty("spreadsheetId");
-  const sheetName = userProperties.getProperty("sheetName");
-  const tagColumn = userProperties.getProperty("column");
+  let event = Calendar.Events.get(calendarId, eventId);
+  log('Event retrieved:', event);
 
-  if (!spreadsheetId || !sheetName || !tagColumn) {
-    log('Spreadsheet ID, sheet name, or tag column not configured.');
-    return null;
+  const tags = Array.from(selectedTags);
+  const instance = event.recurringEventId ? event : null;
+
+  if (instance && (scope === TAG_SCOPES.SERIES || scope === TAG_SCOPES.FOLLOWING)) {
+    event = Calendar.Events.get(calendarId, instance.recurringEventId);
+    log('Writing to the series:', event.id);
   }
 
-  try {
-    const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
-    const sheet = spreadsheet.getSheetByName(sheetName);
-    if (!sheet) {
-      log(`Sheet "${sheetName}" not found in spreadsheet.`);
-      return null;
-    }
+  event.extendedProperties = event.extendedProperties || {};
+  event.extendedProperties.private = event.extendedProperties.private || {};
+  const properties = event.extendedProperties.private;
+
+  // Read with the same inheritance as the baseline, so an occurrence that inherits its
+  // tags from the series isn't taken for a conflict just because its etag moved
+  const previousTags = readEventTags(event, calendarId);
 
-    const lastRow = sheet.getLastRow();
-    if (lastRow === 0) {
-      log('Sheet is empty.');
+  if (expected && expected.baseEtag && event.etag !== expected.baseEtag) {
+    if (!sameTags(previousTags, expected.baseTags || [])) {
+      log(`Conflict on event ${eventId}: saved tags changed from`, expected.baseTags, 'to', previousTags);
       return null;
     }
+  }
 
-    const tagData = sheet.getRange(`${tagColumn}1:${tagColumn}${lastRow}`).getValues();
-    const emailDomainData = sheet.getRange(`${emailDomainColumn}1:${emailDomainColumn}${lastRow}`).getValues();
-
-    for (const attendee of attendees) {
-      const email = attendee.email;
-      if (email) {
-        const domain = email.split('@')[1];
-        log(`Checking attendee email: ${email}, domain: ${domain}`);
-
-        for (let i = 0; i < emailDomainData.length; i++) {
-          if (emailDomainData[i][0] === domain) {
-            const tag = tagData[i][0] ? (tagData[i][0].startsWith('#') ? tagData[i][0] : `#${tagData[i][0]}`) : null;
-            log(`Found match for domain ${domain}, tag: ${tag}`);
-            return tag;
-          }
-        }
-      }
+  if (instance && scope === TAG_SCOPES.FOLLOWING) {
+    // Later "this and following" changes replace earlier ones from the same point on
+    const from = getOriginalStartTime(instance);
+    const segments = JSON.parse(properties.tagsFrom || '[]').filter(segment => segment.from < from);
+    segments.push({ from: from, tags: tags });
+    properties.tagsFrom = JSON.stringify(segments);
+  } else {
+    storeEventTags(event, calendarId, tags);
+    if (instance && scope !== TAG_SCOPES.SERIES) {
+      properties.tagsOverridden = 'true';
+    } else {
+      delete properties.tagsFrom;
     }
-  } catch (error) {
-    log(`Error in getAutoTagFromAttendees: ${error.message}`, error);
+
+    // Text and colour are per event resource, so a "this and following" change leaves them alone
+    syncTagsIntoEventText(event, previousTags, tags);
+    applyTagColor(event, calendarId, tags);
   }
 
-  log('No matching domain found for attendees.');
-  return null;
+  // If-Match makes the update fail instead of overwriting a change made since the get
+  const updatedEvent = Calendar.Events.update(event, calendarId, event.id, {}, { 'If-Match': event.etag });
+  log(`Tags saved to event: ${event.id}`);
+
+  updateSuggestionIndex(instance || event, previousTags, tags);
+
+  const title = (instance || event).summary;
+  const autoAdded = (autoTags || []).filter(tag => tags.includes(tag) && !previousTags.includes(tag));
+  const autoTagged = previousTags.concat(autoAdded);
+  recordTagChange(calendarId, eventId, title, previousTags, autoTagged, TAG_CHANGE_PATHS.AUTO_TAG);
+  recordTagChange(calendarId, eventId, title, autoTagged, tags, path || TAG_CHANGE_PATHS.BACKGROUND);
+  return updatedEvent;
 }
 
 /**
- * Gets the user tags, combining default tags and tags from the spreadsheet.
- *
- * @returns {string[]} The user tags.
+ * Gets the sheet tag changes are logged to, creating it on first use.
+ * @returns {SpreadsheetApp.Sheet|null} The sheet, or null if no spreadsheet is configured.
  */
-function getUserTags() {
-  log('getUserTags called');
-  let userTags = JSON.parse(userProperties.getProperty("userTags"));
-
-  if (!userTags) {
-    log('User tags not found in cache. Fetching from spreadsheet.');
-    const spreadsheetTags = fetchTagsFromSpreadsheet();
-    log('Fetched tags from spreadsheet:', spreadsheetTags);
-
-    // Combine default tags and spreadsheet tags
-    userTags = [...DEFAULT_USER_TAGS, ...spreadsheetTags];
-
-    //Ensure Uniqueness
-    userTags = Array.from(new Set(userTags));
-
-    log('Combined tags:', userTags);
+function getTagHistorySheet() {
+  const spreadsheetId = getSetting("spreadsheetId");
+  if (!spreadsheetId) return null;
 
-    userProperties.setProperty("userTags", JSON.stringify(userTags));
+  const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+  let sheet = spreadsheet.getSheetByName(TAG_HISTORY_SHEET_NAME);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(TAG_HISTORY_SHEET_NAME);
+    sheet.appendRow(TAG_HISTORY_HEADERS);
   }
-
-  log('getUserTags finished', userTags);
-  return userTags;
+  return sheet;
 }
 
 /**
- * Fetches the user tags from the spreadsheet.
- *
- * @returns {string[]} The user tags from the spreadsheet.
+ * Logs a change to an event's saved tags: to the tag history sheet if a spreadsheet
+ * is configured, otherwise to the most recent TAG_HISTORY_LIMIT changes kept in
+ * user properties. Errors are logged, never thrown, so a tag write never fails on them.
+ * @param {string} calendarId - The ID of the calendar.
+ * @param {string} eventId - The ID of the event the change was made from.
+ * @param {string} title - The event title.
+ * @param {string[]} previousTags - The tags saved before.
+ * @param {string[]} tags - The tags saved now.
+ * @param {string} path - One of TAG_CHANGE_PATHS.
  */
-function fetchTagsFromSpreadsheet() {
-  log('fetchTagsFromSpreadsheet called');
-  const spreadsheetId = userProperties.getProperty("spreadsheetId");
-  const sheetName = userProperties.getProperty("sheetName");
-  const column = userProperties.getProperty("column");
+function recordTagChange(calendarId, eventId, title, previousTags, tags, path) {
+  if (sameTags(previousTags, tags)) return;
 
-  if (!spreadsheetId || !sheetName || !column) {
-    log('Spreadsheet ID, sheet name, or column not configured.');
-    return []; // Return an empty array if not configured
-  }
+  const change = {
+    at: Date.now(),
+    user: Session.getActiveUser().getEmail() || '',
+    calendarId: calendarId,
+    eventId: eventId,
+    title: title || '',
+    previousTags: previousTags,
+    tags: tags,
+    path: path
+  };
+  log('Recording tag change:', change);
 
   try {
-    const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
-    log(`Successfully opened spreadsheet with ID: ${spreadsheetId}`);
-
-    const sheet = spreadsheet.getSheetByName(sheetName);
-    if (!sheet) {
-      log(`Sheet "${sheetName}" not found in spreadsheet.`);
-      return []; // Return an empty array if sheet not found
+    const sheet = getTagHistorySheet();
+    if (sheet) {
+      sheet.appendRow([new Date(change.at), change.user, calendarId, eventId, change.title,
+        JSON.stringify(previousTags), JSON.stringify(tags), path]);
+    } else {
+      const changes = JSON.parse(getLargeProperty('tagHistory')) || [];
+      changes.push(change);
+      putLargeProperty('tagHistory', JSON.stringify(changes.slice(-TAG_HISTORY_LIMIT)));
     }
-    log(`Successfully got sheet: ${sheetName}`);
+    userCache.remove(`tagHistory_${calendarId}_${eventId}`);
+  } catch (error) {
+    log(`Error recording tag change: ${error.message}`, error);
+  }
+}
 
-    const lastRow = sheet.getLastRow();
-    log(`Last row in sheet: ${lastRow}`);
-    if (lastRow === 0) {
-      log('Sheet is empty.');
-      return []; // Return an empty array if sheet is empty
-    }
-    const values = sheet.getRange(`${column}1:${column}${lastRow}`).getValues();
-    log(`Values from sheet:`, values);
+/**
+ * Gets the most recent tag changes to an event, newest first.
+ * @param {string} calendarId - The ID of the calendar.
+ * @param {string} eventId - The ID of the event.
+ * @returns {Object[]} The changes, as recorded by recordTagChange.
+ */
+function getTagHistory(calendarId, eventId) {
+  const cacheKey = `tagHistory_${calendarId}_${eventId}`;
+  const cached = userCache.get(cacheKey);
+  if (cached) return JSON.parse(cached);
 
-    // Get unique tags, prepending # if necessary
-    const uniqueTags = new Set();
-    values.forEach(row => {
-      if (row[0]) {
-        const tag = row[0].startsWith('#') ? row[0] : `#${row[0]}`;
-        uniqueTags.add(tag);
+  let changes = [];
+  try {
+    const sheet = getTagHistorySheet();
+    if (sheet) {
+      // Only recent rows are read, so the card stays fast as the sheet grows
+      const lastRow = sheet.getLastRow();
+      const firstRow = Math.max(2, lastRow - TAG_HISTORY_SCAN_ROWS + 1);
+      if (lastRow >= firstRow) {
+        changes = sheet.getRange(firstRow, 1, lastRow - firstRow + 1, TAG_HISTORY_HEADERS.length).getValues()
+          .filter(row => row[2] === calendarId && row[3] === eventId)
+          .map(row => ({
+            at: new Date(row[0]).getTime(),
+            user: row[1],
+            calendarId: row[2],
+            eventId: row[3],
+            title: row[4],
+            previousTags: JSON.parse(row[5] || '[]'),
+            tags: JSON.parse(row[6] || '[]'),
+            path: row[7]
+          }));
       }
-    });
-
-    const tags = Array.from(uniqueTags);
-    log(`Fetched tags from spreadsheet: ${tags}`);
-    return tags;
+    } else {
+      changes = (JSON.parse(getLargeProperty('tagHistory')) || [])
+        .filter(change => change.calendarId === calendarId && change.eventId === eventId);
+    }
+  } catch (error) {
+    log(`Error reading tag history: ${error.message}`, error);
+  }
+
+  changes = changes.reverse().slice(0, EVENT_HISTORY_LIMIT);
+  userCache.put(cacheKey, JSON.stringify(changes), 21600); // Cache for 6 hours
+  return changes;
+}
+
+/**
+ * Handles showing an event's recent tag changes from the event card.
+ * @param {Object} e - The event object.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleShowTagHistory(e) {
+  log('handleShowTagHistory called', e);
+
+  const actionParameters = {
+    cacheKey: e.parameters.cacheKey,
+    calendarId: e.parameters.calendarId,
+    eventId: e.parameters.eventId
+  };
+  const card = CardService.newCardBuilder()
+    .setHeader(CardService.newCardHeader().setTitle("Tag History"))
+    .addSection(buildTagHistorySection(e.parameters.calendarId, e.parameters.eventId, actionParameters))
+    .build();
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(CardService.newNavigation().pushCard(card))
+    .build();
+}
+
+/**
+ * Builds the card section listing an event's recent tag changes, each with a button
+ * to go back to the tags it replaced.
+ * @param {string} calendarId - The ID of the calendar.
+ * @param {string} eventId - The ID of the event.
+ * @param {Object} actionParameters - The event card's action parameters.
+ * @returns {CardService.CardSection} The section.
+ */
+function buildTagHistorySection(calendarId, eventId, actionParameters) {
+  const changes = getTagHistory(calendarId, eventId);
+  const section = CardService.newCardSection();
+  if (changes.length === 0) {
+    return section.addWidget(CardService.newTextParagraph()
+      .setText("No tag changes have been recorded for this event yet."));
+  }
+
+  const timeZone = Session.getScriptTimeZone();
+
+  changes.forEach(change => {
+    section.addWidget(CardService.newDecoratedText()
+      .setTopLabel(`${Utilities.formatDate(new Date(change.at), timeZone, 'yyyy-MM-dd HH:mm')} · ${change.path} · ${change.user}`)
+      .setText(`${change.previousTags.join(' ') || '(none)'} → ${change.tags.join(' ') || '(none)'}`)
+      .setWrapText(true)
+      .setButton(CardService.newTextButton()
+        .setText("Undo")
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName('handleUndoTagChange')
+          .setParameters(Object.assign({ tags: JSON.stringify(change.previousTags) }, actionParameters)))));
+  });
+
+  return section;
+}
+
+/**
+ * Gets the time an occurrence of a recurring event was originally scheduled for.
+ * @param {Object} event - The Calendar API event instance.
+ * @returns {number} Milliseconds since epoch.
+ */
+function getOriginalStartTime(event) {
+  const start = event.originalStartTime || event.start;
+  return new Date(start.dateTime || start.date).getTime();
+}
+
+/**
+ * Reads the tags saved on an event. An occurrence of a recurring event uses its own
+ * tags only if they were overridden; otherwise it inherits the series' tags, taking
+ * any "this and following" change that covers it into account.
+ * @param {Object} event - The Calendar API event.
+ * @param {string} calendarId - The ID of the calendar.
+ * @param {Object} [seriesCache] - Series already fetched, by ID; filled as series are fetched.
+ * @returns {string[]} The tags.
+ */
+function readEventTags(event, calendarId, seriesCache) {
+  const own = event.extendedProperties?.private || {};
+  if (!event.recurringEventId || own.tagsOverridden === 'true') {
+    return mergeSharedTags(event, JSON.parse(own.selectedTags || '[]'));
+  }
+
+  let series = seriesCache ? seriesCache[event.recurringEventId] : null;
+  if (!series) {
+    try {
+      series = Calendar.Events.get(calendarId, event.recurringEventId, { fields: 'id,extendedProperties' });
+    } catch (error) {
+      log(`Error fetching series ${event.recurringEventId}: ${error.message}`);
+      series = event; // Unmodified occurrences carry the series' properties anyway
+    }
+    if (seriesCache) seriesCache[event.recurringEventId] = series;
+  }
+
+  const properties = series.extendedProperties?.private || {};
+  const start = getOriginalStartTime(event);
+  const segment = JSON.parse(properties.tagsFrom || '[]')
+    .filter(item => item.from <= start)
+    .sort((a, b) => b.from - a.from)[0];
+
+  return mergeSharedTags(event, segment ? segment.tags : JSON.parse(properties.selectedTags || '[]'));
+}
+
+/**
+ * Tests whether the user may change an event's details, including its shared properties.
+ * @param {Object} event - The Calendar API event.
+ * @returns {boolean} True for the organizer, or a guest of an event guests can modify.
+ */
+function canEditEvent(event) {
+  return !!(event.organizer?.self || event.guestsCanModify);
+}
+
+/**
+ * Gets the tags the user has chosen to share with everyone on an event.
+ * @returns {string[]} The shared tags.
+ */
+function getSharedTags() {
+  return JSON.parse(userProperties.getProperty("sharedTags")) || [];
+}
+
+/**
+ * Tests whether a tag is stored in an event's shared extended properties, which every
+ * attendee's copy of the event sees, rather than in the user's private ones.
+ * @param {string} tag - The tag.
+ * @param {string} calendarId - The ID of the calendar.
+ * @returns {boolean} True if the tag or the calendar is set to share tags.
+ */
+function isSharedTag(tag, calendarId) {
+  const sharedCalendars = JSON.parse(userProperties.getProperty("sharedCalendars")) || [];
+  return sharedCalendars.includes(calendarId) || getSharedTags().includes(tag);
+}
+
+/**
+ * Gets the tags shared on an event, as set by the organizer or another editor.
+ * @param {Object} event - The Calendar API event.
+ * @returns {string[]} The shared tags.
+ */
+function getEventSharedTags(event) {
+  return JSON.parse(event.extendedProperties?.shared?.selectedTags || '[]');
+}
+
+/**
+ * Combines the tags shared on an event with the user's private ones. Shared tags
+ * the user has removed for themselves are left out; private tags are added.
+ * @param {Object} event - The Calendar API event.
+ * @param {string[]} privateTags - The user's private tags for the event.
+ * @returns {string[]} The event's tags as the user sees them.
+ */
+function mergeSharedTags(event, privateTags) {
+  const removed = JSON.parse(event.extendedProperties?.private?.removedSharedTags || '[]');
+  const shared = getEventSharedTags(event).filter(tag => !removed.includes(tag));
+  return Array.from(new Set([...shared, ...privateTags]));
+}
+
+/**
+ * Stores an event's tags, splitting them between its shared and private extended properties.
+ * Editors share the tags already shared on the event plus those set to be shared.
+ * Other attendees can't change the shared tags: their own tags stay private, and
+ * shared tags they remove are only hidden from their own view.
+ * @param {Object} event - The Calendar API event, updated in place.
+ * @param {string} calendarId - The ID of the calendar.
+ * @param {string[]} tags - The tags to store.
+ */
+function storeEventTags(event, calendarId, tags) {
+  const properties = event.extendedProperties.private;
+  const shared = getEventSharedTags(event);
+
+  if (canEditEvent(event)) {
+    const sharedTags = tags.filter(tag => shared.includes(tag) || isSharedTag(tag, calendarId));
+    if (sharedTags.length > 0 || shared.length > 0) {
+      event.extendedProperties.shared = event.extendedProperties.shared || {};
+      event.extendedProperties.shared.selectedTags = JSON.stringify(sharedTags);
+    }
+    properties.selectedTags = JSON.stringify(tags.filter(tag => !sharedTags.includes(tag)));
+    delete properties.removedSharedTags;
+    return;
+  }
+
+  properties.selectedTags = JSON.stringify(tags.filter(tag => !shared.includes(tag)));
+  const removed = shared.filter(tag => !tags.includes(tag));
+  if (removed.length > 0) {
+    properties.removedSharedTags = JSON.stringify(removed);
+  } else {
+    delete properties.removedSharedTags;
+  }
+}
+
+/**
+ * Remembers, for the event card, which of an event's tags are shared and whether the
+ * user can change them.
+ * @param {string} cacheKey - The cache key of the event.
+ * @param {Object} event - The Calendar API event.
+ */
+function rememberTagVisibility(cacheKey, event) {
+  const visibility = {
+    sharedTags: getEventSharedTags(event),
+    organizer: event.organizer?.displayName || event.organizer?.email || '',
+    canEdit: canEditEvent(event)
+  };
+  userCache.put(`tagVisibility_${cacheKey}`, JSON.stringify(visibility), 21600); // Cache for 6 hours
+}
+
+/**
+ * Builds the event card section showing which selected tags everyone on the event
+ * sees and which only the user sees.
+ * @param {Set<string>} selectedTags - The selected tags.
+ * @param {string} cacheKey - The cache key of the event.
+ * @param {string} calendarId - The ID of the calendar.
+ * @returns {CardService.CardSection|null} The section, or null if no tag is shared.
+ */
+function buildTagVisibilitySection(selectedTags, cacheKey, calendarId) {
+  const visibility = JSON.parse(userCache.get(`tagVisibility_${cacheKey}`)) ||
+    { sharedTags: [], organizer: '', canEdit: true };
+
+  const tags = Array.from(selectedTags);
+  const fromOrganizer = tags.filter(tag => visibility.sharedTags.includes(tag));
+  const sharedByYou = visibility.canEdit ? tags.filter(tag => !fromOrganizer.includes(tag) && isSharedTag(tag, calendarId)) : [];
+  if (fromOrganizer.length === 0 && sharedByYou.length === 0) return null;
+
+  const privateTags = tags.filter(tag => !fromOrganizer.includes(tag) && !sharedByYou.includes(tag));
+  const section = CardService.newCardSection()
+    .setHeader("Tag Visibility")
+    .setCollapsible(true)
+    .setNumUncollapsibleWidgets(1);
+
+  if (fromOrganizer.length > 0) {
+    section.addWidget(CardService.newDecoratedText()
+      .setTopLabel(visibility.canEdit ? "Shared with everyone on the event" : `Shared by ${visibility.organizer || 'the organizer'}`)
+      .setText(fromOrganizer.join(' '))
+      .setBottomLabel(visibility.canEdit ? "Removing one removes it for everyone" : "Removing one hides it for you only")
+      .setWrapText(true));
+  }
+  if (sharedByYou.length > 0) {
+    section.addWidget(CardService.newDecoratedText()
+      .setTopLabel("Shared when saved")
+      .setText(sharedByYou.join(' '))
+      .setWrapText(true));
+  }
+  if (privateTags.length > 0) {
+    section.addWidget(CardService.newDecoratedText()
+      .setTopLabel("Only you")
+      .setText(privateTags.join(' '))
+      .setWrapText(true));
+  }
+
+  return section;
+}
+
+/**
+ * Handles choosing whether a tag is shared with everyone on an event.
+ * @param {Object} e - The event object.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleToggleSharedTag(e) {
+  log('handleToggleSharedTag called', e);
+
+  const tag = e.parameters.tag;
+  let sharedTags = getSharedTags();
+  const isShared = sharedTags.includes(tag);
+  sharedTags = isShared ? sharedTags.filter(item => item !== tag) : [...sharedTags, tag];
+  userProperties.setProperty("sharedTags", JSON.stringify(sharedTags));
+
+  return buildTagManagementResponse(isShared ? `${tag} will be saved privately.` : `${tag} will be shared with attendees.`);
+}
+
+/**
+ * Rewrites the event title or description to show the tag set, when the user has
+ * turned on a tag text mode and is allowed to edit the event's details.
+ * @param {Object} event - The Calendar API event, updated in place.
+ * @param {string[]} previousTags - The tags saved before this write.
+ * @param {string[]} tags - The tags being saved.
+ */
+function syncTagsIntoEventText(event, previousTags, tags) {
+  const mode = getSetting("tagTextMode") || TAG_TEXT_MODES.OFF;
+  if (mode === TAG_TEXT_MODES.OFF) return;
+
+  if (!canEditEvent(event)) {
+    log('Not allowed to edit this event\'s details; skipping tag text sync.');
+    return;
+  }
+
+  if (mode === TAG_TEXT_MODES.TITLE) {
+    const knownTags = [...getUserTags(), ...previousTags, ...tags];
+    const placement = getSetting("tagTextPlacement") || 'start';
+    event.summary = syncTagsIntoTitle(event.summary, tags, knownTags, placement);
+  } else if (mode === TAG_TEXT_MODES.DESCRIPTION) {
+    event.description = syncTagsIntoDescription(event.description, tags);
+  }
+}
+
+/**
+ * Rewrites a title so its hashtags match the tag set. Every known tag is stripped
+ * wherever it appears, whatever its case, and the tag set is put back together at
+ * the start or end of the title. Hashtags that aren't known tags are left alone.
+ * @param {string} title - The event title.
+ * @param {string[]} tags - The tags to show.
+ * @param {string[]} knownTags - Every tag that may already appear in the title.
+ * @param {string} placement - 'start' or 'end'.
+ * @returns {string} The new title.
+ */
+function syncTagsIntoTitle(title, tags, knownTags, placement) {
+  let text = title || '';
+
+  new Set(knownTags.map(tag => tag.toLowerCase())).forEach(tag => {
+    const escaped = tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    text = text.replace(new RegExp(`(^|\\s)${escaped}(?=\\s|$)`, 'gi'), '$1');
+  });
+  text = text.replace(/\s+/g, ' ').trim();
+
+  if (tags.length === 0) return text;
+  const tagText = tags.join(' ');
+  return placement === 'end' ? `${text} ${tagText}`.trim() : `${tagText} ${text}`.trim();
+}
+
+/**
+ * Replaces the marked tag block in a description, appending one if there is none
+ * and removing it when there are no tags.
+ * @param {string} description - The event description.
+ * @param {string[]} tags - The tags to show.
+ * @returns {string} The new description.
+ */
+function syncTagsIntoDescription(description, tags) {
+  const blockRegex = new RegExp(`\\n*${TAG_BLOCK_START.replace(/[[\]]/g, '\\$&')}[\\s\\S]*?${TAG_BLOCK_END.replace(/[[\]/]/g, '\\$&')}`, 'g');
+  const text = (description || '').replace(blockRegex, '').replace(/\s+$/, '');
+
+  if (tags.length === 0) return text;
+  const block = `${TAG_BLOCK_START} ${tags.join(' ')} ${TAG_BLOCK_END}`;
+  return text ? `${text}\n\n${block}` : block;
+}
+
+/**
+ * Compares two tag lists regardless of order.
+ * @param {string[]} a - The first tag list.
+ * @param {string[]} b - The second tag list.
+ * @returns {boolean} True if both contain the same tags.
+ */
+function sameTags(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  return setA.size === setB.size && Array.from(setA).every(tag => setB.has(tag));
+}
+
+/**
+ * Builds the homepage section listing tag writes that are still pending or have failed.
+ * @returns {CardService.CardSection|null} The section, or null if the queue is empty.
+ */
+function buildPendingWritesSection() {
+  const entries = getQueueEntries().filter(entry => entry.eventId);
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const section = CardService.newCardSection()
+    .setHeader("Pending Tag Changes");
+
+  entries.forEach(entry => {
+    let status = entry.status;
+    if (entry.status === QUEUE_STATUS.PENDING && entry.attempts > 0) {
+      status = `retrying (attempt ${entry.attempts + 1} of ${MAX_SAVE_ATTEMPTS})`;
+    }
+
+    const widget = CardService.newDecoratedText()
+      .setTopLabel(status)
+      .setText(`${entry.title || entry.eventId} (${getCalendarName(entry.calendarId)})`)
+      .setBottomLabel(entry.lastError ? `${entry.tags.join(' ')} - ${entry.lastError}` : entry.tags.join(' '))
+      .setWrapText(true);
+    section.addWidget(widget);
+
+    const buttons = CardService.newButtonSet();
+    if (entry.status !== QUEUE_STATUS.PENDING || entry.attempts > 0) {
+      buttons.addButton(CardService.newTextButton()
+        .setText(entry.status === QUEUE_STATUS.CONFLICT ? "Overwrite" : "Retry Now")
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName("handleRetryTagWrite")
+          .setParameters({ cacheKey: entry.cacheKey })));
+    }
+    buttons.addButton(CardService.newTextButton()
+      .setText("Discard")
+      .setOnClickAction(CardService.newAction()
+        .setFunctionName("handleDiscardTagWrite")
+        .setParameters({ cacheKey: entry.cacheKey })));
+    section.addWidget(buttons);
+  });
+
+  return section;
+}
+
+/**
+ * Handles retrying a pending, failed or conflicting tag write from the homepage.
+ * @param {Object} e - The event object.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleRetryTagWrite(e) {
+  log('handleRetryTagWrite called', e);
+
+  const cacheKey = e.parameters.cacheKey;
+
+  let status;
+  try {
+    status = withQueueLock(() => {
+      const entry = getQueueEntry(cacheKey);
+      if (!entry || !entry.calendarId) {
+        return null;
+      }
+      // Retrying a conflict means the user chose to overwrite the other change
+      const force = entry.status === QUEUE_STATUS.CONFLICT;
+      entry.status = QUEUE_STATUS.PENDING;
+      entry.attempts = 0;
+      return processQueueEntry(entry, force, TAG_CHANGE_PATHS.MANUAL);
+    });
+  } catch (error) {
+    return buildNotSavedResponse(error);
+  }
+
+  return CardService.newActionResponseBuilder()
+    .setNotification(CardService.newNotification()
+      .setText(status === QUEUE_STATUS.SAVED ? "Tags saved." : "Tags could not be saved yet."))
+    .setNavigation(CardService.newNavigation().updateCard(createHomePageCard()))
+    .setStateChanged(true)
+    .build();
+}
+
+/**
+ * Handles discarding a pending tag write from the homepage.
+ * @param {Object} e - The event object.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleDiscardTagWrite(e) {
+  log('handleDiscardTagWrite called', e);
+
+  const cacheKey = e.parameters.cacheKey;
+  try {
+    withQueueLock(() => {
+      removeQueueEntry(cacheKey);
+      userCache.remove(cacheKey);
+    });
+  } catch (error) {
+    return buildNotSavedResponse(error);
+  }
+
+  return CardService.newActionResponseBuilder()
+    .setNotification(CardService.newNotification()
+      .setText("Pending tag change discarded."))
+    .setNavigation(CardService.newNavigation().updateCard(createHomePageCard()))
+    .setStateChanged(true)
+    .build();
+}
+
+/**
+ * Gets the calendars the user can write to.
+ * @returns {Object[]} The calendar list entries.
+ */
+function getUserCalendars() {
+  log('getUserCalendars called');
+  try {
+    const calendars = Calendar.CalendarList.list({ minAccessRole: 'writer' }).items || [];
+    calendars.forEach(calendar => userCache.put(`calendarName_${calendar.id}`, calendar.summaryOverride || calendar.summary || calendar.id, 21600));
+    return calendars;
+  } catch (error) {
+    log(`Error listing calendars: ${error.message}`, error);
+    return [];
+  }
+}
+
+/**
+ * Builds a dropdown of the user's writable calendars.
+ * @param {string} fieldName - The form field name.
+ * @param {string} title - The dropdown title.
+ * @param {string} [selectedId] - The calendar to preselect; defaults to the primary calendar.
+ * @returns {CardService.SelectionInput} The dropdown.
+ */
+function buildCalendarDropdown(fieldName, title, selectedId) {
+  const dropdown = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.DROPDOWN)
+    .setFieldName(fieldName)
+    .setTitle(title);
+
+  getUserCalendars().forEach(calendar => {
+    const selected = selectedId ? calendar.id === selectedId : !!calendar.primary;
+    dropdown.addItem(calendar.summaryOverride || calendar.summary || calendar.id, calendar.id, selected);
+  });
+
+  return dropdown;
+}
+
+/**
+ * Reads a date picker value from the event object.
+ * @param {Object} e - The event object.
+ * @param {string} fieldName - The form field name.
+ * @returns {number|null} Milliseconds since epoch, or null if not set.
+ */
+function getDateInput(e, fieldName) {
+  const input = e.commonEventObject?.formInputs?.[fieldName]?.dateInput;
+  return input ? Number(input.msSinceEpoch) : null;
+}
+
+/**
+ * Formats an event's start for display.
+ * @param {Object} event - The Calendar API event.
+ * @returns {string} The formatted start date.
+ */
+function formatEventStart(event) {
+  const start = event.start.dateTime || event.start.date;
+  return Utilities.formatDate(new Date(start), Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm');
+}
+
+/**
+ * Works out which tags retro-tagging would add to an event.
+ * @param {Object} event - The Calendar API event.
+ * @param {string} calendarId - The ID of the calendar.
+ * @param {Object} [seriesCache] - Series already fetched, by ID, as for readEventTags.
+ * @returns {{existing: string[], added: string[]}} The event's saved tags and the tags to add.
+ */
+function proposeTagsForEvent(event, calendarId, seriesCache) {
+  const existing = readEventTags(event, calendarId, seriesCache);
+  const proposed = new Set(extractTagFromTitle(event.summary));
+
+  getAutoTagFromAttendees(event.attendees || []).forEach(tag => proposed.add(tag));
+
+  const meetingType = classifyMeeting(event.attendees);
+  if (meetingType && !existing.includes(INTERNAL_MEETING_TAG) && !existing.includes(EXTERNAL_MEETING_TAG)) {
+    proposed.add(meetingType);
+  }
+
+  // Only the tags rules add are proposed; retro-tagging never removes saved tags
+  applyRules(event, proposed, existing);
+
+  return {
+    existing: existing,
+    added: Array.from(proposed).filter(tag => !existing.includes(tag))
+  };
+}
+
+/**
+ * Handles opening the retro-tagging card from the homepage.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleShowRetroTag() {
+  log('handleShowRetroTag called');
+
+  const now = Date.now();
+  const card = CardService.newCardBuilder()
+    .setHeader(CardService.newCardHeader().setTitle("Retro-tag Events"))
+    .addSection(CardService.newCardSection()
+      .addWidget(CardService.newTextParagraph()
+        .setText("Applies title hashtags and attendee domain tags to existing events. You'll see a preview before anything is written."))
+      .addWidget(buildCalendarDropdown("retro_calendar", "Calendar"))
+      .addWidget(CardService.newDatePicker()
+        .setFieldName("retro_start")
+        .setTitle("From")
+        .setValueInMsSinceEpoch(now - 90 * 24 * 3600 * 1000))
+      .addWidget(CardService.newDatePicker()
+        .setFieldName("retro_end")
+        .setTitle("To")
+        .setValueInMsSinceEpoch(now))
+      .addWidget(CardService.newTextButton()
+        .setText("Preview")
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName("handlePreviewRetroTag"))))
+    .build();
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(CardService.newNavigation().pushCard(card))
+    .build();
+}
+
+/**
+ * Handles previewing the tags retro-tagging would add, without writing anything.
+ * @param {Object} e - The event object.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handlePreviewRetroTag(e) {
+  log('handlePreviewRetroTag called', e);
+
+  const calendarId = e.formInput.retro_calendar;
+  const timeMin = getDateInput(e, 'retro_start');
+  const endDay = getDateInput(e, 'retro_end');
+
+  if (!calendarId || !timeMin || !endDay || timeMin > endDay) {
+    return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification()
+        .setText("Choose a calendar and a valid date range."))
+      .build();
+  }
+  // Include the whole end day
+  const timeMax = endDay + 24 * 3600 * 1000;
+
+  const section = CardService.newCardSection()
+    .setHeader(`Proposed tags (${getCalendarName(calendarId)})`);
+  let scanned = 0;
+  let proposals = 0;
+
+  try {
+    const response = Calendar.Events.list(calendarId, {
+      timeMin: new Date(timeMin).toISOString(),
+      timeMax: new Date(timeMax).toISOString(),
+      maxResults: RETRO_TAG_PREVIEW_LIMIT
+    });
+
+    const seriesCache = {};
+    (response.items || []).forEach(event => {
+      if (event.status === 'cancelled') return;
+      scanned++;
+
+      const proposal = proposeTagsForEvent(event, calendarId, seriesCache);
+      if (proposal.added.length === 0) return;
+      proposals++;
+
+      section.addWidget(CardService.newDecoratedText()
+        .setTopLabel(formatEventStart(event))
+        .setText(event.summary || '(No title)')
+        .setBottomLabel(`+ ${proposal.added.join(' ')}${proposal.existing.length ? ` (has ${proposal.existing.join(' ')})` : ''}`)
+        .setWrapText(true));
+    });
+
+    if (response.nextPageToken) {
+      section.addWidget(CardService.newTextParagraph()
+        .setText(`Showing the first ${RETRO_TAG_PREVIEW_LIMIT} events. The job will process the whole range.`));
+    }
+  } catch (error) {
+    log(`Error previewing retro-tagging: ${error.message}`, error);
+    return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification()
+        .setText("Error listing events. Check logs."))
+      .build();
+  }
+
+  if (proposals === 0) {
+    section.addWidget(CardService.newTextParagraph()
+      .setText(`No new tags found in ${scanned} events.`));
+  }
+
+  section.addWidget(CardService.newTextButton()
+    .setText("Apply Tags")
+    .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+    .setOnClickAction(CardService.newAction()
+      .setFunctionName("handleConfirmRetroTag")
+      .setParameters({ calendarId: calendarId, timeMin: String(timeMin), timeMax: String(timeMax) })));
+
+  const card = CardService.newCardBuilder()
+    .setHeader(CardService.newCardHeader().setTitle("Retro-tag Preview"))
+    .addSection(section)
+    .build();
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(CardService.newNavigation().pushCard(card))
+    .build();
+}
+
+/**
+ * Handles confirming the retro-tagging preview: starts the job and runs its first chunk.
+ * The background job continues the rest.
+ * @param {Object} e - The event object.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleConfirmRetroTag(e) {
+  log('handleConfirmRetroTag called', e);
+
+  const job = {
+    calendarId: e.parameters.calendarId,
+    timeMin: Number(e.parameters.timeMin),
+    timeMax: Number(e.parameters.timeMax),
+    pageToken: null,
+    offset: 0,
+    changed: 0,
+    skipped: 0,
+    failed: 0,
+    status: 'running',
+    startedAt: Date.now()
+  };
+  userProperties.setProperty('retroTagJob', JSON.stringify(job));
+
+  // Card actions must return quickly; the background job carries on from here
+  runRetroTagJob(RETRO_TAG_ACTION_BUDGET_SECONDS);
+
+  const finished = JSON.parse(userProperties.getProperty('retroTagJob')).status !== 'running';
+  return CardService.newActionResponseBuilder()
+    .setNotification(CardService.newNotification()
+      .setText(finished ? "Retro-tagging finished." : `Retro-tagging started. ${describeJobContinuation()}.`))
+    .setNavigation(CardService.newNavigation().popToRoot().updateCard(createHomePageCard()))
+    .setStateChanged(true)
+    .build();
+}
+
+/**
+ * Processes the retro-tagging job until it finishes or the time budget runs out,
+ * saving its position after every event so it can resume where it stopped.
+ * @param {number} budgetSeconds - How long this run may take.
+ */
+function runRetroTagJob(budgetSeconds) {
+  log('runRetroTagJob called', budgetSeconds);
+
+  const deadline = Date.now() + budgetSeconds * 1000;
+  const job = JSON.parse(userProperties.getProperty('retroTagJob'));
+
+  if (!job || job.status !== 'running') {
+    log('No running retro-tagging job.');
+    return;
+  }
+
+  const saveJob = () => userProperties.setProperty('retroTagJob', JSON.stringify(job));
+  const seriesCache = {};
+
+  try {
+    do {
+      const response = Calendar.Events.list(job.calendarId, {
+        timeMin: new Date(job.timeMin).toISOString(),
+        timeMax: new Date(job.timeMax).toISOString(),
+        maxResults: RETRO_TAG_PAGE_SIZE,
+        pageToken: job.pageToken || undefined
+      });
+      const events = response.items || [];
+
+      for (; job.offset < events.length; job.offset++) {
+        if (Date.now() > deadline) {
+          saveJob();
+          log('Retro-tagging paused; continuing with the next background run.', job);
+          return;
+        }
+
+        const event = events[job.offset];
+        if (event.status === 'cancelled') continue;
+
+        const proposal = proposeTagsForEvent(event, job.calendarId, seriesCache);
+        if (proposal.added.length === 0) {
+          job.skipped++;
+          continue;
+        }
+
+        try {
+          writeTagsToEvent(job.calendarId, event.id, [...proposal.existing, ...proposal.added], null, null, TAG_CHANGE_PATHS.AUTO_TAG);
+          job.changed++;
+        } catch (error) {
+          log(`Error retro-tagging event ${event.id}: ${error.message}`);
+          job.failed++;
+        }
+        saveJob();
+      }
+
+      job.pageToken = response.nextPageToken || null;
+      job.offset = 0;
+      saveJob();
+    } while (job.pageToken);
+
+    job.status = 'done';
+    job.finishedAt = Date.now();
+    saveJob();
+    log('Retro-tagging finished.', job);
+  } catch (error) {
+    log(`Error in runRetroTagJob: ${error.message}`, error);
+    job.status = 'error';
+    job.lastError = error.message;
+    saveJob();
+  }
+}
+
+/**
+ * Deletes the project triggers that run a given function.
+ * @param {string} functionName - The handler function name.
+ */
+function deleteTriggersFor(functionName) {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === functionName)
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+}
+
+/**
+ * Describes when the background job will continue a job left running, for its status.
+ * @returns {string} The description, without a final full stop.
+ */
+function describeJobContinuation() {
+  const installed = ScriptApp.getProjectTriggers().some(trigger => trigger.getHandlerFunction() === 'saveTagsFromCache');
+  if (!installed) {
+    return "Install the background job under Background Jobs to finish it";
+  }
+  if (userProperties.getProperty('backgroundPaused') === 'true') {
+    return "Resume the background job under Background Jobs to finish it";
+  }
+  return `The background job continues it every ${BACKGROUND_SAVE_HOURS} hour(s)`;
+}
+
+/**
+ * Handles cancelling or dismissing the retro-tagging job from the homepage.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleClearRetroTagJob() {
+  log('handleClearRetroTagJob called');
+
+  userProperties.deleteProperty('retroTagJob');
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(CardService.newNavigation().updateCard(createHomePageCard()))
+    .setStateChanged(true)
+    .build();
+}
+
+/**
+ * Builds the homepage section for retro-tagging, with the status of the current job.
+ * @returns {CardService.CardSection} The section.
+ */
+function buildRetroTagSection() {
+  const section = CardService.newCardSection()
+    .setHeader("Retro-tag Events");
+
+  const job = JSON.parse(userProperties.getProperty('retroTagJob'));
+  if (job) {
+    const range = `${Utilities.formatDate(new Date(job.timeMin), Session.getScriptTimeZone(), 'yyyy-MM-dd')} to ` +
+      Utilities.formatDate(new Date(job.timeMax - 1), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+    let detail = range;
+    if (job.lastError) {
+      detail = `${range} - ${job.lastError}`;
+    } else if (job.status === 'running') {
+      detail = `${range} - ${describeJobContinuation()}`;
+    }
+    section.addWidget(CardService.newDecoratedText()
+      .setTopLabel(`${job.status} - ${getCalendarName(job.calendarId)}`)
+      .setText(`${job.changed} changed, ${job.skipped} skipped, ${job.failed} failed`)
+      .setBottomLabel(detail)
+      .setWrapText(true));
+    section.addWidget(CardService.newTextButton()
+      .setText(job.status === 'running' ? "Cancel Job" : "Dismiss")
+      .setOnClickAction(CardService.newAction()
+        .setFunctionName("handleClearRetroTagJob")));
+  }
+
+  if (!job || job.status !== 'running') {
+    section.addWidget(CardService.newTextButton()
+      .setText("Retro-tag a Date Range")
+      .setOnClickAction(CardService.newAction()
+        .setFunctionName("handleShowRetroTag")));
+  }
+
+  return section;
+}
+
+/**
+ * Reads the values of a multi-select input from the event object.
+ * @param {Object} e - The event object.
+ * @param {string} fieldName - The form field name.
+ * @returns {string[]} The selected values.
+ */
+function getMultiInput(e, fieldName) {
+  return e.commonEventObject?.formInputs?.[fieldName]?.stringInputs?.value || [];
+}
+
+/**
+ * Gets the Monday of the week a time falls in, as yyyy-MM-dd.
+ * @param {number} time - Milliseconds since epoch.
+ * @param {string} timeZone - The time zone.
+ * @returns {string} The week key.
+ */
+function weekStartKey(time, timeZone) {
+  const dayOfWeek = Number(Utilities.formatDate(new Date(time), timeZone, 'u')); // 1 = Monday
+  return Utilities.formatDate(new Date(time - (dayOfWeek - 1) * 24 * 3600 * 1000), timeZone, 'yyyy-MM-dd');
+}
+
+/**
+ * Formats a number of hours for display.
+ * @param {number} hours - The hours.
+ * @returns {string} The formatted hours.
+ */
+function formatHours(hours) {
+  return `${Math.round(hours * 10) / 10} h`;
+}
+
+/**
+ * Builds the report form: date range, calendars and counting options.
+ * @returns {CardService.CardSection} The section.
+ */
+function buildReportFormSection() {
+  const now = Date.now();
+
+  const calendars = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.CHECK_BOX)
+    .setFieldName("report_calendars")
+    .setTitle("Calendars");
+  getUserCalendars().forEach(calendar => {
+    calendars.addItem(calendar.summaryOverride || calendar.summary || calendar.id, calendar.id, !!calendar.primary);
+  });
+
+  const split = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.RADIO_BUTTON)
+    .setFieldName("report_split")
+    .setTitle("Events with several tags")
+    .addItem("Split hours evenly between tags", "proportional", true)
+    .addItem("Give every tag the full hours", "full", false);
+
+  return CardService.newCardSection()
+    .addWidget(CardService.newDatePicker()
+      .setFieldName("report_start")
+      .setTitle("From")
+      .setValueInMsSinceEpoch(now - 30 * 24 * 3600 * 1000))
+    .addWidget(CardService.newDatePicker()
+      .setFieldName("report_end")
+      .setTitle("To")
+      .setValueInMsSinceEpoch(now))
+    .addWidget(calendars)
+    .addWidget(split)
+    .addWidget(CardService.newDecoratedText()
+      .setText("Include parent tag totals (e.g. #Client for #Client/Acme)")
+      .setSwitchControl(CardService.newSwitch()
+        .setFieldName("report_roll_up")
+        .setValue("true")
+        .setSelected(true)))
+    .addWidget(CardService.newDecoratedText()
+      .setText("Don't double-count overlapping events")
+      .setSwitchControl(CardService.newSwitch()
+        .setFieldName("report_dedupe_overlaps")
+        .setValue("true")
+        .setSelected(true)))
+    .addWidget(CardService.newDecoratedText()
+      .setText(`Count all-day events (${ALL_DAY_EVENT_HOURS} h per day)`)
+      .setSwitchControl(CardService.newSwitch()
+        .setFieldName("report_include_all_day")
+        .setValue("true")
+        .setSelected(false)))
+    .addWidget(CardService.newButtonSet()
+      .addButton(CardService.newTextButton()
+        .setText("Show Report")
+        .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName("handleRunReport")))
+      .addButton(CardService.newTextButton()
+        .setText("Export to Spreadsheet")
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName("handleExportReport"))));
+}
+
+/**
+ * Handles opening the time-by-tag report card from the homepage.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleShowReport() {
+  log('handleShowReport called');
+
+  const card = CardService.newCardBuilder()
+    .setHeader(CardService.newCardHeader().setTitle("Time by Tag"))
+    .addSection(buildReportFormSection())
+    .build();
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(CardService.newNavigation().pushCard(card))
+    .build();
+}
+
+/**
+ * Reads the report options from the report form.
+ * @param {Object} e - The event object.
+ * @returns {Object|null} The options, or null if the form is incomplete.
+ */
+function readReportOptions(e) {
+  const timeMin = getDateInput(e, 'report_start');
+  const endDay = getDateInput(e, 'report_end');
+  const calendarIds = getMultiInput(e, 'report_calendars');
+
+  if (!timeMin || !endDay || calendarIds.length === 0) {
+    return null;
+  }
+
+  return {
+    timeMin: timeMin,
+    timeMax: endDay + 24 * 3600 * 1000, // Include the whole end day
+    calendarIds: calendarIds,
+    proportional: e.formInput.report_split !== 'full',
+    dedupeOverlaps: e.formInput.report_dedupe_overlaps === 'true',
+    rollUp: e.formInput.report_roll_up === 'true',
+    includeAllDay: e.formInput.report_include_all_day === 'true'
+  };
+}
+
+/**
+ * Reads the tagged time from the chosen calendars.
+ * Recurring events are expanded into instances, which carry the series' tags.
+ * Cancelled events, events the user declined and copies of the same event on
+ * several calendars are skipped.
+ *
+ * @param {Object} options - The report options.
+ * @returns {Object[]} The events as { start, end, tags }.
+ */
+function fetchTaggedIntervals(options) {
+  const intervals = [];
+  const seen = new Set();
+  const seriesCache = {};
+
+  options.calendarIds.forEach(calendarId => {
+    let pageToken;
+    do {
+      const response = Calendar.Events.list(calendarId, {
+        timeMin: new Date(options.timeMin).toISOString(),
+        timeMax: new Date(options.timeMax).toISOString(),
+        singleEvents: true,
+        maxResults: 250,
+        pageToken: pageToken
+      });
+
+      (response.items || []).forEach(event => {
+        if (event.status === 'cancelled') return;
+        if ((event.attendees || []).some(attendee => attendee.self && attendee.responseStatus === 'declined')) return;
+
+        const key = `${event.iCalUID}_${event.originalStartTime?.dateTime || event.originalStartTime?.date || ''}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        const tags = readEventTags(event, calendarId, seriesCache);
+        let start, end;
+
+        if (event.start.date) {
+          if (!options.includeAllDay) return;
+          // All-day events count a fixed number of hours on each day they span
+          const days = Math.round((new Date(event.end.date) - new Date(event.start.date)) / (24 * 3600 * 1000));
+          for (let day = 0; day < days; day++) {
+            start = new Date(event.start.date).getTime() + day * 24 * 3600 * 1000;
+            if (start < options.timeMin || start >= options.timeMax) continue;
+            intervals.push({ start: start, end: start + ALL_DAY_EVENT_HOURS * 3600 * 1000, tags: tags, allDay: true });
+          }
+          return;
+        }
+
+        // Clip to the report range
+        start = Math.max(new Date(event.start.dateTime).getTime(), options.timeMin);
+        end = Math.min(new Date(event.end.dateTime).getTime(), options.timeMax);
+        if (end > start) {
+          intervals.push({ start: start, end: end, tags: tags, allDay: false });
+        }
+      });
+
+      pageToken = response.nextPageToken;
+    } while (pageToken);
+  });
+
+  return intervals;
+}
+
+/**
+ * Builds the time-by-tag report.
+ * With dedupeOverlaps, time covered by several timed events at once is shared between
+ * them, so the totals never exceed the hours actually spent. All-day events are
+ * never treated as overlapping.
+ *
+ * @param {Object} options - The report options.
+ * @returns {Object} The report: { tags: { tag: { total, weeks } }, weeks, eventCount }.
+ */
+function buildTimeReport(options) {
+  log('buildTimeReport called', options);
+
+  const timeZone = Session.getScriptTimeZone();
+  const intervals = fetchTaggedIntervals(options);
+  const report = { tags: {}, weeks: [], eventCount: intervals.length };
+  const weeks = new Set();
+
+  const credit = (interval, start, hours) => {
+    const tags = interval.tags.length > 0 ? interval.tags : [UNTAGGED_LABEL];
+    const share = options.proportional ? hours / tags.length : hours;
+    const week = weekStartKey(start, timeZone);
+    weeks.add(week);
+
+    const shares = {};
+    tags.forEach(tag => shares[tag] = (shares[tag] || 0) + share);
+
+    // Parents are credited once per event: with the sum of their children's shares
+    // when splitting, or the full hours otherwise
+    if (options.rollUp) {
+      tags.forEach(tag => getTagAncestors(tag).forEach(parent => {
+        if (tags.includes(parent)) return;
+        shares[parent] = options.proportional ? (shares[parent] || 0) + share : hours;
+      }));
+    }
+
+    Object.keys(shares).forEach(tag => {
+      const entry = report.tags[tag] || (report.tags[tag] = { total: 0, weeks: {} });
+      entry.total += shares[tag];
+      entry.weeks[week] = (entry.weeks[week] || 0) + shares[tag];
+    });
+  };
+
+  const timed = intervals.filter(interval => !interval.allDay);
+  intervals.filter(interval => interval.allDay)
+    .forEach(interval => credit(interval, interval.start, (interval.end - interval.start) / 3600000));
+
+  if (options.dedupeOverlaps) {
+    const boundaries = Array.from(new Set(timed.flatMap(interval => [interval.start, interval.end]))).sort((a, b) => a - b);
+    for (let i = 0; i < boundaries.length - 1; i++) {
+      const segmentStart = boundaries[i];
+      const segmentEnd = boundaries[i + 1];
+      const active = timed.filter(interval => interval.start <= segmentStart && interval.end >= segmentEnd);
+      if (active.length === 0) continue;
+
+      const hours = (segmentEnd - segmentStart) / 3600000 / active.length;
+      active.forEach(interval => credit(interval, segmentStart, hours));
+    }
+  } else {
+    timed.forEach(interval => credit(interval, interval.start, (interval.end - interval.start) / 3600000));
+  }
+
+  report.weeks = Array.from(weeks).sort();
+  log('Report built:', report);
+  return report;
+}
+
+/**
+ * Gets the report's tags, largest total first.
+ * @param {Object} report - The report.
+ * @returns {string[]} The tags.
+ */
+function sortedReportTags(report) {
+  return Object.keys(report.tags).sort((a, b) => report.tags[b].total - report.tags[a].total);
+}
+
+/**
+ * Handles running the time-by-tag report and showing the results.
+ * @param {Object} e - The event object.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleRunReport(e) {
+  log('handleRunReport called', e);
+
+  const options = readReportOptions(e);
+  if (!options) {
+    return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification()
+        .setText("Choose a date range and at least one calendar."))
+      .build();
+  }
+
+  let report;
+  try {
+    report = buildTimeReport(options);
+  } catch (error) {
+    log(`Error in handleRunReport: ${error.message}`, error);
+    return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification()
+        .setText("Error building report. Check logs."))
+      .build();
+  }
+
+  const tags = sortedReportTags(report);
+  const totalsSection = CardService.newCardSection()
+    .setHeader(`Totals (${report.eventCount} events)`);
+
+  if (tags.length === 0) {
+    totalsSection.addWidget(CardService.newTextParagraph()
+      .setText("No events found in this range."));
+  }
+
+  tags.forEach(tag => {
+    totalsSection.addWidget(CardService.newDecoratedText()
+      .setText(tag)
+      .setBottomLabel(formatHours(report.tags[tag].total)));
+  });
+
+  const card = CardService.newCardBuilder()
+    .setHeader(CardService.newCardHeader().setTitle("Time by Tag"))
+    .addSection(totalsSection);
+
+  report.weeks.forEach(week => {
+    const lines = tags
+      .filter(tag => report.tags[tag].weeks[week])
+      .map(tag => `${tag}: ${formatHours(report.tags[tag].weeks[week])}`);
+    card.addSection(CardService.newCardSection()
+      .setHeader(`Week of ${week}`)
+      .setCollapsible(true)
+      .addWidget(CardService.newTextParagraph()
+        .setText(lines.join('\n'))));
+  });
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(CardService.newNavigation().pushCard(card.build()))
+    .build();
+}
+
+/**
+ * Handles exporting the time-by-tag report to a new tab in the configured spreadsheet.
+ * @param {Object} e - The event object.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleExportReport(e) {
+  log('handleExportReport called', e);
+
+  const options = readReportOptions(e);
+  const spreadsheetId = getSetting("spreadsheetId");
+  let message;
+
+  if (!options) {
+    message = "Choose a date range and at least one calendar.";
+  } else if (!spreadsheetId) {
+    message = "Configure a spreadsheet on the homepage first.";
+  } else {
+    try {
+      const report = buildTimeReport(options);
+      const timeZone = Session.getScriptTimeZone();
+      const tags = sortedReportTags(report);
+
+      const rows = [['Tag', 'Total Hours', ...report.weeks.map(week => `Week of ${week}`)]];
+      tags.forEach(tag => {
+        const entry = report.tags[tag];
+        rows.push([tag, entry.total, ...report.weeks.map(week => entry.weeks[week] || 0)]);
+      });
+
+      const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+      const range = `${Utilities.formatDate(new Date(options.timeMin), timeZone, 'yyyy-MM-dd')} to ` +
+        Utilities.formatDate(new Date(options.timeMax - 1), timeZone, 'yyyy-MM-dd');
+      let sheetName = `Time by Tag ${range}`;
+      if (spreadsheet.getSheetByName(sheetName)) {
+        sheetName += ` (${Utilities.formatDate(new Date(), timeZone, 'HHmmss')})`;
+      }
+
+      const sheet = spreadsheet.insertSheet(sheetName);
+      sheet.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+      if (rows.length > 1) {
+        sheet.getRange(2, 2, rows.length - 1, rows[0].length - 1).setNumberFormat('0.00');
+      }
+      sheet.setFrozenRows(1);
+
+      message = `Report exported to "${sheetName}".`;
+    } catch (error) {
+      log(`Error in handleExportReport: ${error.message}`, error);
+      message = "Error exporting report. Check logs.";
+    }
+  }
+
+  return CardService.newActionResponseBuilder()
+    .setNotification(CardService.newNotification()
+      .setText(message))
+    .build();
+}
+
+/**
+ * Builds a multi-select tag picker.
+ * @param {string} fieldName - The form field name.
+ * @param {string} title - The picker title.
+ * @param {string[]} tags - The tags to offer.
+ * @returns {CardService.SelectionInput} The picker.
+ */
+function buildTagPicker(fieldName, title, tags) {
+  const picker = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.MULTI_SELECT)
+    .setFieldName(fieldName)
+    .setTitle(title);
+  tags.forEach(tag => picker.addItem(tag, tag, false));
+  return picker;
+}
+
+/**
+ * Handles opening the find-by-tag card from the homepage.
+ * @param {Object} e - The event object.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleShowSearch(e) {
+  log('handleShowSearch called', e);
+
+  const now = Date.now();
+  const tags = getUserTags();
+
+  const calendars = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.CHECK_BOX)
+    .setFieldName("search_calendars")
+    .setTitle("Calendars");
+  getUserCalendars().forEach(calendar => {
+    calendars.addItem(calendar.summaryOverride || calendar.summary || calendar.id, calendar.id, !!calendar.primary);
+  });
+
+  const card = CardService.newCardBuilder()
+    .setHeader(CardService.newCardHeader().setTitle("Find Events by Tag"))
+    .addSection(CardService.newCardSection()
+      .addWidget(buildTagPicker("search_all", "Has all of", tags))
+      .addWidget(buildTagPicker("search_any", "Has any of", tags))
+      .addWidget(buildTagPicker("search_none", "Has none of", tags))
+      .addWidget(CardService.newDatePicker()
+        .setFieldName("search_start")
+        .setTitle("From")
+        .setValueInMsSinceEpoch(now - 90 * 24 * 3600 * 1000))
+      .addWidget(CardService.newDatePicker()
+        .setFieldName("search_end")
+        .setTitle("To")
+        .setValueInMsSinceEpoch(now))
+      .addWidget(calendars)
+      .addWidget(CardService.newTextButton()
+        .setText("Search")
+        .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName("handleRunSearch"))))
+    .build();
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(CardService.newNavigation().pushCard(card))
+    .build();
+}
+
+/**
+ * Checks an event's tags against a tag query.
+ * @param {string[]} tags - The event's tags.
+ * @param {Object} query - The query: { all, any, none } tag lists.
+ * @returns {boolean} True if the tags satisfy every part of the query.
+ */
+function tagsMatchQuery(tags, query) {
+  // A child tag also counts as each of its parents, so #Client/Acme finds #Client/Acme/Audit
+  const tagSet = new Set(tags.flatMap(tag => [tag, ...getTagAncestors(tag)]));
+  return query.all.every(tag => tagSet.has(tag)) &&
+    (query.any.length === 0 || query.any.some(tag => tagSet.has(tag))) &&
+    !query.none.some(tag => tagSet.has(tag));
+}
+
+/**
+ * Finds the events whose saved tags satisfy a query.
+ * Tags are read from the selectedTags private extended property; titles are not scanned.
+ * Untagged events match a query that only lists tags to exclude.
+ *
+ * @param {Object} query - The query: { all, any, none, calendarIds, timeMin, timeMax }.
+ * @param {number} limit - The maximum number of results.
+ * @returns {{results: Object[], truncated: boolean}} The matches as { calendarId, event, tags }.
+ */
+function searchEventsByTag(query, limit) {
+  log('searchEventsByTag called', query);
+
+  const results = [];
+  const seriesCache = {};
+  let truncated = false;
+
+  for (const calendarId of query.calendarIds) {
+    let pageToken;
+    do {
+      const response = Calendar.Events.list(calendarId, {
+        timeMin: new Date(query.timeMin).toISOString(),
+        timeMax: new Date(query.timeMax).toISOString(),
+        singleEvents: true,
+        orderBy: 'startTime',
+        maxResults: 250,
+        pageToken: pageToken
+      });
+
+      for (const event of response.items || []) {
+        if (event.status === 'cancelled') continue;
+        const tags = readEventTags(event, calendarId, seriesCache);
+        if (!tagsMatchQuery(tags, query)) continue;
+
+        if (results.length >= limit) {
+          truncated = true;
+          break;
+        }
+        results.push({ calendarId: calendarId, event: event, tags: tags });
+      }
+
+      pageToken = truncated ? null : response.nextPageToken;
+    } while (pageToken);
+  }
+
+  results.sort((a, b) => new Date(a.event.start.dateTime || a.event.start.date) - new Date(b.event.start.dateTime || b.event.start.date));
+  return { results: results, truncated: truncated };
+}
+
+/**
+ * Formats an event's duration for display.
+ * @param {Object} event - The Calendar API event.
+ * @returns {string} The duration.
+ */
+function formatEventDuration(event) {
+  if (event.start.date) {
+    const days = Math.round((new Date(event.end.date) - new Date(event.start.date)) / (24 * 3600 * 1000));
+    return days === 1 ? 'All day' : `${days} days`;
+  }
+  return formatHours((new Date(event.end.dateTime) - new Date(event.start.dateTime)) / 3600000);
+}
+
+/**
+ * Handles running the find-by-tag search and showing the results.
+ * @param {Object} e - The event object.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleRunSearch(e) {
+  log('handleRunSearch called', e);
+
+  const endDay = getDateInput(e, 'search_end');
+  const query = {
+    all: getMultiInput(e, 'search_all'),
+    any: getMultiInput(e, 'search_any'),
+    none: getMultiInput(e, 'search_none'),
+    calendarIds: getMultiInput(e, 'search_calendars'),
+    timeMin: getDateInput(e, 'search_start'),
+    timeMax: endDay + 24 * 3600 * 1000 // Include the whole end day
+  };
+
+  if (!query.timeMin || !endDay || query.calendarIds.length === 0 || query.all.length + query.any.length + query.none.length === 0) {
+    return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification()
+        .setText("Choose at least one tag, a date range and a calendar."))
+      .build();
+  }
+
+  let search;
+  try {
+    search = searchEventsByTag(query, SEARCH_RESULT_LIMIT);
+  } catch (error) {
+    log(`Error in handleRunSearch: ${error.message}`, error);
+    return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification()
+        .setText("Error searching events. Check logs."))
+      .build();
+  }
+
+  const section = CardService.newCardSection()
+    .setHeader(`${search.results.length}${search.truncated ? '+' : ''} matching events`);
+
+  search.results.forEach(result => {
+    const event = result.event;
+    section.addWidget(CardService.newDecoratedText()
+      .setTopLabel(`${formatEventStart(event)} · ${formatEventDuration(event)}`)
+      .setText(event.summary || '(No title)')
+      .setBottomLabel(query.calendarIds.length > 1 ? `${result.tags.join(' ')} · ${getCalendarName(result.calendarId)}` : result.tags.join(' '))
+      .setWrapText(true)
+      .setOnClickAction(CardService.newAction()
+        .setFunctionName("handleOpenEventTags")
+        .setParameters({ calendarId: result.calendarId, eventId: event.id })));
+  });
+
+  if (search.truncated) {
+    section.addWidget(CardService.newTextParagraph()
+      .setText(`Showing the first ${SEARCH_RESULT_LIMIT} events. Narrow the search to see more.`));
+  }
+
+  const card = CardService.newCardBuilder()
+    .setHeader(CardService.newCardHeader().setTitle("Search Results"))
+    .addSection(section)
+    .build();
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(CardService.newNavigation().pushCard(card))
+    .build();
+}
+
+/**
+ * Handles opening the tag card for an event picked outside the event view, such as a search result.
+ * Pending tag changes take precedence over the saved tags; no auto-tagging is applied.
+ * @param {Object} e - The event object.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleOpenEventTags(e) {
+  log('handleOpenEventTags called', e);
+
+  const calendarId = e.parameters.calendarId;
+  const eventId = e.parameters.eventId;
+  const cacheKey = buildCacheKey(calendarId, eventId);
+
+  let event;
+  try {
+    event = Calendar.Events.get(calendarId, eventId);
+  } catch (error) {
+    log(`Error fetching event: ${error.message}`);
+    return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification()
+        .setText("Could not open this event."))
+      .build();
+  }
+
+  const savedTags = readEventTags(event, calendarId);
+  putBaseline(cacheKey, { calendarId: calendarId, etag: event.etag, tags: savedTags, title: event.summary });
+  rememberTagScope(cacheKey, event);
+  rememberTagVisibility(cacheKey, event);
+
+  const queuedEntry = getQueueEntry(cacheKey);
+  const selectedTags = JSON.parse(userCache.get(cacheKey)) || (queuedEntry ? queuedEntry.tags : savedTags);
+  userCache.put(cacheKey, JSON.stringify(selectedTags), getCacheTime());
+
+  return showTagDialog(new Set(selectedTags), cacheKey, event.summary, calendarId, eventId);
+}
+
+/**
+ * Builds the homepage section linking to the reports and search.
+ * @returns {CardService.CardSection} The section.
+ */
+function buildReportsSection() {
+  const section = CardService.newCardSection()
+    .setHeader("Reports");
+
+  const rebuildJob = JSON.parse(userProperties.getProperty('suggestionRebuildJob'));
+  if (rebuildJob && rebuildJob.status !== 'done') {
+    section.addWidget(CardService.newDecoratedText()
+      .setTopLabel(`Rebuilding suggestions (${rebuildJob.status})`)
+      .setText(`${rebuildJob.events} tagged events read`)
+      .setBottomLabel(rebuildJob.lastError || `Calendar ${Math.min(rebuildJob.calendarIndex + 1, rebuildJob.calendarIds.length)} of ${rebuildJob.calendarIds.length}` +
+        (rebuildJob.status === 'running' ? ` - ${describeJobContinuation()}` : ''))
+      .setWrapText(true));
+  }
+
+  return section
+    .addWidget(CardService.newButtonSet()
+      .addButton(CardService.newTextButton()
+        .setText("Time by Tag")
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName("handleShowReport")))
+      .addButton(CardService.newTextButton()
+        .setText("Find Events by Tag")
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName("handleShowSearch")))
+      .addButton(CardService.newTextButton()
+        .setText("Check Recent Events")
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName("handleShowTagViolations")))
+      .addButton(CardService.newTextButton()
+        .setText("Rebuild Suggestions")
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName("handleRebuildSuggestions"))));
+}
+
+/**
+ * Gets the configured tag sheet and column for editing.
+ * @returns {{sheet: SpreadsheetApp.Sheet, column: string, firstRow: number}} The sheet,
+ *   the tag column letter and the first row holding tags.
+ * @throws {Error} If the spreadsheet is not configured or the sheet is missing.
+ */
+function getTagSheet() {
+  const { sheet, settings } = openTagSheet();
+  return { sheet: sheet, column: settings.column, firstRow: getFirstDataRow(settings) };
+}
+
+/**
+ * Finds the sheet rows holding a tag (case-insensitive, with or without #).
+ * @param {SpreadsheetApp.Sheet} sheet - The tag sheet.
+ * @param {string} column - The tag column letter.
+ * @param {number} firstRow - The first row holding tags.
+ * @param {string} tag - The tag.
+ * @returns {number[]} The 1-based row numbers.
+ */
+function findTagRows(sheet, column, firstRow, tag) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow < firstRow) return [];
+
+  const target = tag.toLowerCase();
+  const rows = [];
+  sheet.getRange(`${column}${firstRow}:${column}${lastRow}`).getValues().forEach((row, index) => {
+    if (row[0] && normalizeTag(row[0]).toLowerCase() === target) {
+      rows.push(index + firstRow);
+    }
+  });
+  return rows;
+}
+
+/**
+ * Writes a tag into a cell, keeping the cell's existing style of with or without #.
+ * @param {SpreadsheetApp.Range} cell - The cell.
+ * @param {string} tag - The new tag.
+ */
+function setTagCell(cell, tag) {
+  const keepHash = String(cell.getValue()).trim().startsWith('#');
+  cell.setValue(keepHash ? tag : tag.substring(1));
+}
+
+/**
+ * Clears the loaded tags, rules and group modes so they are read from the tag sources again.
+ */
+function invalidateTagCache() {
+  loadedUserTags = null;
+  loadedRules = null;
+  userProperties.deleteProperty("userTags");
+}
+
+/**
+ * Builds the response shown after a tag management action.
+ * @param {string} message - The notification text.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function buildTagManagementResponse(message) {
+  return CardService.newActionResponseBuilder()
+    .setNotification(CardService.newNotification()
+      .setText(message))
+    .setNavigation(CardService.newNavigation().popToRoot().updateCard(createHomePageCard()))
+    .setStateChanged(true)
+    .build();
+}
+
+/**
+ * Handles clicking a tag on the homepage: opens the card to rename, merge or archive it.
+ * @param {Object} e - The event object.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleTagClickFromHomepage(e) {
+  log('handleTagClickFromHomepage called', e);
+
+  const tag = e.parameters.tag;
+  const isLockedTag = getLockedTags().includes(tag);
+  const isDefaultTag = getDefaultTags().includes(tag);
+  const card = CardService.newCardBuilder()
+    .setHeader(CardService.newCardHeader().setTitle(tag));
+
+  const isFavorite = getFavoriteTags().includes(tag);
+  const isShared = getSharedTags().includes(tag);
+  card.addSection(CardService.newCardSection()
+    .addWidget(CardService.newButtonSet()
+      .addButton(CardService.newTextButton()
+        .setText(isFavorite ? "Remove from Favorites" : "Add to Favorites")
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName("handleToggleFavoriteTag")
+          .setParameters({ tag: tag })))
+      .addButton(CardService.newTextButton()
+        .setText(isShared ? "Save Privately" : "Share with Attendees")
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName("handleToggleSharedTag")
+          .setParameters({ tag: tag })))));
+
+  const migrationJob = getRunningTagMigrationJob();
+  if (isLockedTag) {
+    card.addSection(CardService.newCardSection()
+      .addWidget(CardService.newTextParagraph()
+        .setText("Your organisation requires this tag. It can't be renamed, merged or archived.")));
+  } else if (migrationJob) {
+    card.addSection(CardService.newCardSection()
+      .addWidget(CardService.newTextParagraph()
+        .setText(`Existing events are still being updated (${migrationJob.from} → ${migrationJob.to}). Tags can be renamed, merged or archived again once that finishes.`)));
+  } else if (isDefaultTag) {
+    card.addSection(CardService.newCardSection()
+      .addWidget(CardService.newTextParagraph()
+        .setText("This is a default tag. It isn't stored in your spreadsheet and can't be changed here.")));
+  } else {
+    const migrateSwitch = CardService.newDecoratedText()
+      .setText("Also update existing events")
+      .setSwitchControl(CardService.newSwitch()
+        .setFieldName("migrate_events")
+        .setValue("true")
+        .setSelected(true));
+
+    const mergeTarget = CardService.newSelectionInput()
+      .setType(CardService.SelectionInputType.DROPDOWN)
+      .setFieldName("merge_target")
+      .setTitle("Merge into");
+    getUserTags().filter(other => other !== tag).forEach(other => mergeTarget.addItem(other, other, false));
+
+    card.addSection(CardService.newCardSection()
+      .setHeader("Rename")
+      .addWidget(CardService.newTextInput()
+        .setFieldName("new_tag_name")
+        .setTitle("New name")
+        .setValue(tag))
+      .addWidget(CardService.newTextButton()
+        .setText("Rename")
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName("handleRenameTag")
+          .setParameters({ tag: tag }))));
+
+    card.addSection(CardService.newCardSection()
+      .setHeader("Merge")
+      .addWidget(mergeTarget)
+      .addWidget(CardService.newTextButton()
+        .setText("Merge")
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName("handleMergeTag")
+          .setParameters({ tag: tag }))));
+
+    card.addSection(CardService.newCardSection()
+      .addWidget(migrateSwitch));
+
+    card.addSection(CardService.newCardSection()
+      .setHeader("Archive")
+      .addWidget(CardService.newTextParagraph()
+        .setText(`Moves the tag's row to the "${ARCHIVED_TAGS_SHEET_NAME}" sheet. Events keep the tag.`))
+      .addWidget(CardService.newTextButton()
+        .setText("Archive")
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName("handleArchiveTag")
+          .setParameters({ tag: tag }))));
+  }
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(CardService.newNavigation().pushCard(card.build()))
+    .build();
+}
+
+/**
+ * Handles adding a tag to the configured sheet from the homepage.
+ * @param {Object} e - The event object.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleAddTag(e) {
+  log('handleAddTag called', e);
+
+  const tag = normalizeTag(e.formInput.new_tag);
+  if (!tag) {
+    return buildTagManagementResponse("Enter a tag to add.");
+  }
+  if (getUserTags().some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+    return buildTagManagementResponse(`${tag} is already in your tag list.`);
+  }
+
+  try {
+    appendTagToSheet(tag);
+    return buildTagManagementResponse(`${tag} added.`);
+  } catch (error) {
+    log(`Error in handleAddTag: ${error.message}`, error);
+    return buildTagManagementResponse(`Error adding tag: ${error.message}`);
+  }
+}
+
+/**
+ * Appends a tag to the configured tag column and refreshes the cached tags.
+ * @param {string} tag - The tag.
+ * @throws {Error} If the spreadsheet is not configured or the sheet is missing.
+ */
+function appendTagToSheet(tag) {
+  const { sheet, column } = getTagSheet();
+  const values = sheet.getRange(`${column}1:${column}${Math.max(sheet.getLastRow(), 1)}`).getValues();
+  // Append below the last tag in the tag column, which may end before other columns do
+  let lastTagRow = values.length;
+  while (lastTagRow > 0 && !values[lastTagRow - 1][0]) lastTagRow--;
+
+  sheet.getRange(`${column}${lastTagRow + 1}`).setValue(tag);
+  invalidateTagCache();
+  getUserTags();
+}
+
+/**
+ * Handles renaming a tag in the configured sheet, optionally migrating existing events.
+ * @param {Object} e - The event object.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleRenameTag(e) {
+  log('handleRenameTag called', e);
+
+  const tag = e.parameters.tag;
+  const newTag = normalizeTag(e.formInput.new_tag_name);
+  if (getLockedTags().includes(tag)) {
+    return buildTagManagementResponse(`${tag} is required by your organisation.`);
+  }
+  if (!newTag || newTag === tag) {
+    return buildTagManagementResponse("Enter a new name for the tag.");
+  }
+  if (getUserTags().some(existing => existing !== tag && existing.toLowerCase() === newTag.toLowerCase())) {
+    return buildTagManagementResponse(`${newTag} already exists. Use Merge instead.`);
+  }
+
+  return replaceTag(tag, newTag, e.formInput.migrate_events === "true", 'renamed to');
+}
+
+/**
+ * Handles merging a tag into another one, optionally migrating existing events.
+ * The merged tag's rows are renamed, so their domain mappings now apply the target tag.
+ * @param {Object} e - The event object.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleMergeTag(e) {
+  log('handleMergeTag called', e);
+
+  const tag = e.parameters.tag;
+  const target = e.formInput.merge_target;
+  if (getLockedTags().includes(tag)) {
+    return buildTagManagementResponse(`${tag} is required by your organisation.`);
+  }
+  if (!target || target === tag) {
+    return buildTagManagementResponse("Choose a tag to merge into.");
+  }
+
+  return replaceTag(tag, target, e.formInput.migrate_events === "true", 'merged into');
+}
+
+/**
+ * Replaces a tag with another in the sheet and in pending writes, and starts the
+ * event migration job if asked to.
+ * @param {string} tag - The old tag.
+ * @param {string} newTag - The new tag.
+ * @param {boolean} migrateEvents - Whether to update existing events.
+ * @param {string} verb - How to describe the change to the user.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function replaceTag(tag, newTag, migrateEvents, verb) {
+  const job = getRunningTagMigrationJob();
+  if (job) {
+    return buildTagManagementResponse(`Existing events are still being updated (${job.from} → ${job.to}). Try again once that finishes.`);
+  }
+
+  try {
+    const { sheet, column, firstRow } = getTagSheet();
+    const rows = findTagRows(sheet, column, firstRow, tag);
+    if (rows.length === 0) {
+      return buildTagManagementResponse(`${tag} was not found in the sheet.`);
+    }
+    rows.forEach(row => setTagCell(sheet.getRange(`${column}${row}`), newTag));
+    invalidateTagCache();
+
+    replaceTagInQueue(tag, newTag);
+
+    if (migrateEvents) {
+      startTagMigrationJob(tag, newTag);
+      if (getRunningTagMigrationJob()) {
+        return buildTagManagementResponse(`${tag} ${verb} ${newTag}. Existing events are still being updated. ${describeJobContinuation()}.`);
+      }
+      return buildTagManagementResponse(`${tag} ${verb} ${newTag} on the sheet and existing events.`);
+    }
+    return buildTagManagementResponse(`${tag} ${verb} ${newTag}.`);
+  } catch (error) {
+    log(`Error in replaceTag: ${error.message}`, error);
+    return buildTagManagementResponse(`Error updating tag: ${error.message}`);
+  }
+}
+
+/**
+ * Handles archiving a tag: moves its rows to the archive sheet so it is no longer offered.
+ * @param {Object} e - The event object.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleArchiveTag(e) {
+  log('handleArchiveTag called', e);
+
+  const tag = e.parameters.tag;
+  if (getLockedTags().includes(tag)) {
+    return buildTagManagementResponse(`${tag} is required by your organisation.`);
+  }
+  const job = getRunningTagMigrationJob();
+  if (job) {
+    return buildTagManagementResponse(`Existing events are still being updated (${job.from} → ${job.to}). Try again once that finishes.`);
+  }
+  try {
+    const { sheet, column, firstRow } = getTagSheet();
+    const rows = findTagRows(sheet, column, firstRow, tag);
+    if (rows.length === 0) {
+      return buildTagManagementResponse(`${tag} was not found in the sheet.`);
+    }
+
+    const spreadsheet = sheet.getParent();
+    const archive = spreadsheet.getSheetByName(ARCHIVED_TAGS_SHEET_NAME) || spreadsheet.insertSheet(ARCHIVED_TAGS_SHEET_NAME);
+    const lastColumn = sheet.getLastColumn();
+
+    // Delete from the bottom up so earlier row numbers stay valid
+    rows.reverse().forEach(row => {
+      archive.appendRow(sheet.getRange(row, 1, 1, lastColumn).getValues()[0]);
+      sheet.deleteRow(row);
+    });
+    invalidateTagCache();
+
+    return buildTagManagementResponse(`${tag} archived.`);
+  } catch (error) {
+    log(`Error in handleArchiveTag: ${error.message}`, error);
+    return buildTagManagementResponse(`Error archiving tag: ${error.message}`);
+  }
+}
+
+/**
+ * Replaces a tag in every pending write.
+ * @param {string} tag - The old tag.
+ * @param {string} newTag - The new tag.
+ */
+function replaceTagInQueue(tag, newTag) {
+  withQueueLock(() => {
+    getQueueEntries().forEach(entry => {
+      if (entry.tags.includes(tag)) {
+        entry.tags = Array.from(new Set(entry.tags.map(item => (item === tag ? newTag : item))));
+        putQueueEntry(entry);
+        userCache.remove(entry.cacheKey);
+      }
+    });
+  });
+}
+
+/**
+ * Replaces a tag in an event's saved tags, including "this and following" changes
+ * recorded on a recurring series.
+ * @param {Object} event - The Calendar API event, updated in place.
+ * @param {string} tag - The old tag.
+ * @param {string} newTag - The new tag.
+ * @returns {boolean} True if the event changed.
+ */
+function replaceTagInEvent(event, tag, newTag) {
+  if (!event.extendedProperties) return false;
+  const properties = event.extendedProperties.private = event.extendedProperties.private || {};
+
+  const replace = tags => Array.from(new Set(tags.map(item => (item === tag ? newTag : item))));
+  const previousTags = mergeSharedTags(event, JSON.parse(properties.selectedTags || '[]'));
+  let changed = false;
+
+  const tags = JSON.parse(properties.selectedTags || '[]');
+  if (tags.includes(tag)) {
+    properties.selectedTags = JSON.stringify(replace(tags));
+    changed = true;
+  }
+
+  // Only the event's editors can change the tags shared on it
+  const sharedTags = getEventSharedTags(event);
+  if (sharedTags.includes(tag) && canEditEvent(event)) {
+    event.extendedProperties.shared.selectedTags = JSON.stringify(replace(sharedTags));
+    changed = true;
+  }
+
+  if (changed) {
+    syncTagsIntoEventText(event, previousTags, mergeSharedTags(event, JSON.parse(properties.selectedTags || '[]')));
+  }
+
+  const segments = JSON.parse(properties.tagsFrom || '[]');
+  if (segments.some(segment => segment.tags.includes(tag))) {
+    segments.forEach(segment => segment.tags = replace(segment.tags));
+    properties.tagsFrom = JSON.stringify(segments);
+    changed = true;
+  }
+
+  return changed;
+}
+
+/**
+ * Starts the job that replaces a tag on every event in the user's calendars. It runs
+ * for RETRO_TAG_ACTION_BUDGET_SECONDS straight away and the background job continues the rest.
+ * @param {string} tag - The old tag.
+ * @param {string} newTag - The new tag.
+ */
+function startTagMigrationJob(tag, newTag) {
+  const job = {
+    from: tag,
+    to: newTag,
+    calendarIds: getUserCalendars().map(calendar => calendar.id),
+    calendarIndex: 0,
+    pageToken: null,
+    changed: 0,
+    failed: 0,
+    status: 'running',
+    startedAt: Date.now()
+  };
+  userProperties.setProperty('tagMigrationJob', JSON.stringify(job));
+
+  runTagMigrationJob(RETRO_TAG_ACTION_BUDGET_SECONDS);
+}
+
+/**
+ * Processes the tag migration job a page of events at a time until it finishes or the
+ * time budget runs out, saving its position after every page.
+ * @param {number} budgetSeconds - How long this run may take.
+ */
+function runTagMigrationJob(budgetSeconds) {
+  log('runTagMigrationJob called', budgetSeconds);
+
+  const deadline = Date.now() + budgetSeconds * 1000;
+  const job = JSON.parse(userProperties.getProperty('tagMigrationJob'));
+
+  if (!job || job.status !== 'running') {
+    log('No running tag migration job.');
+    return;
+  }
+
+  const saveJob = () => userProperties.setProperty('tagMigrationJob', JSON.stringify(job));
+  const seriesCache = {};
+
+  try {
+    while (job.calendarIndex < job.calendarIds.length) {
+      if (Date.now() > deadline) {
+        saveJob();
+        log('Tag migration paused; continuing with the next background run.', job);
+        return;
+      }
+
+      const calendarId = job.calendarIds[job.calendarIndex];
+      const response = Calendar.Events.list(calendarId, {
+        maxResults: RETRO_TAG_PAGE_SIZE,
+        pageToken: job.pageToken || undefined
+      });
+
+      // Pages are processed whole; replacing a tag twice is harmless if a page is repeated
+      (response.items || []).forEach(event => {
+        if (event.status === 'cancelled') return;
+        const previousTags = readEventTags(event, calendarId, seriesCache);
+        if (!replaceTagInEvent(event, job.from, job.to)) return;
+        try {
+          const updated = Calendar.Events.update(event, calendarId, event.id, {}, { 'If-Match': event.etag });
+          if (!updated.recurringEventId) {
+            seriesCache[updated.id] = updated; // Occurrences read later inherit the renamed tags
+          }
+          recordTagChange(calendarId, event.id, event.summary, previousTags,
+            readEventTags(updated, calendarId, seriesCache), TAG_CHANGE_PATHS.TAG_MIGRATION);
+          job.changed++;
+        } catch (error) {
+          log(`Error migrating event ${event.id}: ${error.message}`);
+          job.failed++;
+        }
+      });
+
+      job.pageToken = response.nextPageToken || null;
+      if (!job.pageToken) {
+        job.calendarIndex++;
+      }
+      saveJob();
+    }
+
+    job.status = 'done';
+    job.finishedAt = Date.now();
+    saveJob();
+    log('Tag migration finished.', job);
+  } catch (error) {
+    log(`Error in runTagMigrationJob: ${error.message}`, error);
+    job.status = 'error';
+    job.lastError = error.message;
+    saveJob();
+  }
+}
+
+/**
+ * Gets the tag migration job if it is still updating events. Only one runs at a time,
+ * since a second rename could otherwise change tags the first has yet to reach.
+ * @returns {Object|null} The running job, or null.
+ */
+function getRunningTagMigrationJob() {
+  const job = JSON.parse(userProperties.getProperty('tagMigrationJob'));
+  return job && job.status === 'running' ? job : null;
+}
+
+/**
+ * Handles cancelling or dismissing the tag migration job from the homepage.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleClearTagMigrationJob() {
+  log('handleClearTagMigrationJob called');
+
+  userProperties.deleteProperty('tagMigrationJob');
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(CardService.newNavigation().updateCard(createHomePageCard()))
+    .setStateChanged(true)
+    .build();
+}
+
+/**
+ * Adds the add-tag form and the status of any tag migration to the homepage tags section.
+ * @param {CardService.CardSection} section - The Current Tags section.
+ */
+function addTagManagementWidgets(section) {
+  const job = JSON.parse(userProperties.getProperty('tagMigrationJob'));
+  if (job) {
+    section.addWidget(CardService.newDecoratedText()
+      .setTopLabel(`Updating events: ${job.from} → ${job.to} (${job.status})`)
+      .setText(`${job.changed} changed, ${job.failed} failed`)
+      .setBottomLabel(job.lastError || `Calendar ${Math.min(job.calendarIndex + 1, job.calendarIds.length)} of ${job.calendarIds.length}` +
+        (job.status === 'running' ? ` - ${describeJobContinuation()}` : ''))
+      .setWrapText(true)
+      .setButton(CardService.newTextButton()
+        .setText(job.status === 'running' ? "Cancel" : "Dismiss")
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName("handleClearTagMigrationJob"))));
+  }
+
+  section.addWidget(CardService.newTextInput()
+    .setFieldName("new_tag")
+    .setTitle("New tag"));
+  section.addWidget(CardService.newTextButton()
+    .setText("Add Tag")
+    .setOnClickAction(CardService.newAction()
+      .setFunctionName("handleAddTag")));
+}
+
+/**
+ * Stores a value too large for a single user property across several properties.
+ * @param {string} name - The property name.
+ * @param {string} value - The value.
+ */
+function putLargeProperty(name, value) {
+  // 3000 characters stays under the 9 KB property limit even for multi-byte text
+  const chunks = value.match(/[\s\S]{1,3000}/g) || [];
+  const oldCount = Number(userProperties.getProperty(`${name}_chunks`)) || 0;
+
+  const properties = {};
+  chunks.forEach((chunk, index) => properties[`${name}_${index}`] = chunk);
+  properties[`${name}_chunks`] = String(chunks.length);
+  userProperties.setProperties(properties);
+
+  for (let index = chunks.length; index < oldCount; index++) {
+    userProperties.deleteProperty(`${name}_${index}`);
+  }
+}
+
+/**
+ * Reads a value stored with putLargeProperty.
+ * @param {string} name - The property name.
+ * @returns {string|null} The value, or null if not stored.
+ */
+function getLargeProperty(name) {
+  const count = Number(userProperties.getProperty(`${name}_chunks`));
+  if (!count) return null;
+
+  let value = '';
+  for (let index = 0; index < count; index++) {
+    value += userProperties.getProperty(`${name}_${index}`) || '';
+  }
+  return value;
+}
+
+/**
+ * Deletes a value stored with putLargeProperty.
+ * @param {string} name - The property name.
+ */
+function deleteLargeProperty(name) {
+  const count = Number(userProperties.getProperty(`${name}_chunks`)) || 0;
+  for (let index = 0; index < count; index++) {
+    userProperties.deleteProperty(`${name}_${index}`);
+  }
+  userProperties.deleteProperty(`${name}_chunks`);
+}
+
+/**
+ * Gets the features of an event used to suggest tags: other attendees, the organizer
+ * and the meaningful words of the title.
+ * @param {Object} event - The Calendar API event.
+ * @returns {{attendees: string[], organizer: string|null, words: string[]}} The features.
+ */
+function getSuggestionFeatures(event) {
+  const attendees = (event.attendees || [])
+    .filter(attendee => attendee.email && !attendee.self && !isResourceAttendee(attendee))
+    .map(attendee => attendee.email.toLowerCase());
+
+  // Hashtags are tags, not title words
+  const words = (event.summary || '')
+    .replace(/#\S+/g, ' ')
+    .toLowerCase()
+    .split(/[^a-z0-9À-ɏ]+/)
+    .filter(word => word.length >= 3 && !SUGGESTION_STOP_WORDS.includes(word));
+
+  return {
+    attendees: Array.from(new Set(attendees)),
+    organizer: event.organizer?.email ? event.organizer.email.toLowerCase() : null,
+    words: Array.from(new Set(words))
+  };
+}
+
+/**
+ * Gets the suggestion index: for each attendee, organizer and title word, how often
+ * each tag was applied to events that had it.
+ * @returns {Object} The index: { attendees, organizers, words, builtAt }.
+ */
+function getSuggestionIndex() {
+  return JSON.parse(getLargeProperty('suggestionIndex')) || { attendees: {}, organizers: {}, words: {}, builtAt: 0 };
+}
+
+/**
+ * Stores the suggestion index, keeping only the most used features so it stays small.
+ * Must be called while holding the queue lock.
+ * @param {Object} index - The index.
+ * @param {string} [name] - The property to store it in; defaults to the live index.
+ */
+function putSuggestionIndex(index, name) {
+  const prune = (map, limit) => {
+    const total = counts => Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const pruned = {};
+    Object.keys(map)
+      .sort((a, b) => total(map[b]) - total(map[a]))
+      .slice(0, limit)
+      .forEach(key => pruned[key] = map[key]);
+    return pruned;
+  };
+
+  index.attendees = prune(index.attendees, SUGGESTION_INDEX_LIMIT);
+  index.organizers = prune(index.organizers, SUGGESTION_INDEX_LIMIT);
+  index.words = prune(index.words, SUGGESTION_INDEX_LIMIT);
+  putLargeProperty(name || 'suggestionIndex', JSON.stringify(index));
+}
+
+/**
+ * Adds (or, with a negative weight, removes) an event's tags to the index.
+ * @param {Object} index - The index, updated in place.
+ * @param {Object} features - The event's features from getSuggestionFeatures.
+ * @param {string[]} tags - The event's tags.
+ * @param {number} weight - 1 to add, -1 to remove.
+ */
+function addToSuggestionIndex(index, features, tags, weight) {
+  const add = (map, key) => {
+    const counts = map[key] || (map[key] = {});
+    tags.forEach(tag => {
+      counts[tag] = (counts[tag] || 0) + weight;
+      if (counts[tag] <= 0) delete counts[tag];
+    });
+    if (Object.keys(counts).length === 0) delete map[key];
+  };
+
+  features.attendees.forEach(attendee => add(index.attendees, attendee));
+  if (features.organizer) add(index.organizers, features.organizer);
+  features.words.forEach(word => add(index.words, word));
+}
+
+/**
+ * Updates the suggestion index when an event's tags are saved, replacing the
+ * event's old tags with its new ones. Errors are logged, never thrown.
+ * @param {Object} event - The Calendar API event.
+ * @param {string[]} previousTags - The tags saved before.
+ * @param {string[]} tags - The tags saved now.
+ */
+function updateSuggestionIndex(event, previousTags, tags) {
+  try {
+    withQueueLock(() => {
+      const index = getSuggestionIndex();
+      if (!index.builtAt) return; // The first full build will pick this event up
+
+      const features = getSuggestionFeatures(event);
+      addToSuggestionIndex(index, features, previousTags, -1);
+      addToSuggestionIndex(index, features, tags, 1);
+      putSuggestionIndex(index);
+    });
+  } catch (error) {
+    log(`Error updating suggestion index: ${error.message}`, error);
+  }
+}
+
+/**
+ * Starts rebuilding the suggestion index from the tagged events of the last
+ * SUGGESTION_LOOKBACK_DAYS on the user's calendars. The rebuild runs as a job the
+ * background job continues, and the current index stays in use until it finishes.
+ * @returns {boolean} False if a rebuild is already running.
+ */
+function startSuggestionRebuildJob() {
+  if (getRunningSuggestionRebuildJob()) {
+    return false;
+  }
+
+  const now = Date.now();
+  const job = {
+    calendarIds: getUserCalendars().filter(calendar => calendar.primary || calendar.selected).map(calendar => calendar.id),
+    calendarIndex: 0,
+    pageToken: null,
+    timeMin: now - SUGGESTION_LOOKBACK_DAYS * 24 * 3600 * 1000,
+    timeMax: now + 30 * 24 * 3600 * 1000,
+    events: 0,
+    status: 'running',
+    startedAt: now
+  };
+  userProperties.setProperty('suggestionRebuildJob', JSON.stringify(job));
+  deleteLargeProperty('suggestionRebuildIndex');
+  return true;
+}
+
+/**
+ * Gets the suggestion rebuild job if it is still running.
+ * @returns {Object|null} The running job, or null.
+ */
+function getRunningSuggestionRebuildJob() {
+  const job = JSON.parse(userProperties.getProperty('suggestionRebuildJob'));
+  return job && job.status === 'running' ? job : null;
+}
+
+/**
+ * Processes the suggestion rebuild job, reading pages of events into a new index until
+ * the job finishes or the time budget runs out, and then replacing the suggestion index with it.
+ * @param {number} budgetSeconds - How long this run may take.
+ */
+function runSuggestionRebuildJob(budgetSeconds) {
+  log('runSuggestionRebuildJob called', budgetSeconds);
+
+  const deadline = Date.now() + budgetSeconds * 1000;
+  const job = JSON.parse(userProperties.getProperty('suggestionRebuildJob'));
+
+  if (!job || job.status !== 'running') {
+    log('No running suggestion rebuild job.');
+    return;
+  }
+
+  const index = JSON.parse(getLargeProperty('suggestionRebuildIndex')) || { attendees: {}, organizers: {}, words: {} };
+  const saveJob = () => {
+    putSuggestionIndex(index, 'suggestionRebuildIndex');
+    userProperties.setProperty('suggestionRebuildJob', JSON.stringify(job));
+  };
+  const seriesCache = {};
+
+  try {
+    while (job.calendarIndex < job.calendarIds.length) {
+      if (Date.now() > deadline) {
+        saveJob();
+        log('Suggestion rebuild paused; continuing with the next background run.', job);
+        return;
+      }
+
+      const calendarId = job.calendarIds[job.calendarIndex];
+      const response = Calendar.Events.list(calendarId, {
+        timeMin: new Date(job.timeMin).toISOString(),
+        timeMax: new Date(job.timeMax).toISOString(),
+        maxResults: 250,
+        pageToken: job.pageToken || undefined
+      });
+
+      (response.items || []).forEach(event => {
+        if (event.status === 'cancelled') return;
+        const tags = readEventTags(event, calendarId, seriesCache);
+        if (tags.length > 0) {
+          addToSuggestionIndex(index, getSuggestionFeatures(event), tags, 1);
+          job.events++;
+        }
+      });
+
+      job.pageToken = response.nextPageToken || null;
+      if (!job.pageToken) {
+        job.calendarIndex++;
+      }
+      saveJob();
+    }
+
+    // Tag saves update the live index under the same lock, so none is lost mid-write
+    index.builtAt = job.startedAt;
+    withQueueLock(() => putSuggestionIndex(index));
+    deleteLargeProperty('suggestionRebuildIndex');
+
+    job.status = 'done';
+    job.finishedAt = Date.now();
+    userProperties.setProperty('suggestionRebuildJob', JSON.stringify(job));
+    log('Suggestion index rebuilt.', job);
+  } catch (error) {
+    log(`Error in runSuggestionRebuildJob: ${error.message}`, error);
+    job.status = 'error';
+    job.lastError = error.message;
+    userProperties.setProperty('suggestionRebuildJob', JSON.stringify(job));
+  }
+}
+
+/**
+ * Starts a rebuild of the suggestion index if it has never been built or is out of date.
+ * Called from the background save trigger, so the event card never has to.
+ */
+function refreshSuggestionIndexIfStale() {
+  const index = getSuggestionIndex();
+  if (Date.now() - index.builtAt > SUGGESTION_INDEX_MAX_AGE_DAYS * 24 * 3600 * 1000) {
+    try {
+      startSuggestionRebuildJob();
+    } catch (error) {
+      log(`Error starting suggestion rebuild: ${error.message}`, error);
+    }
+  }
+}
+
+/**
+ * Ranks tags for an event from the user's history: tags used with the same attendees
+ * count most, then the same organizer, then similar title words.
+ * @param {Object} event - The Calendar API event.
+ * @param {Set<string>} selectedTags - Tags already on the event, which are not suggested.
+ * @returns {string[]} The suggested tags, best first.
+ */
+function suggestTagsForEvent(event, selectedTags) {
+  const index = getSuggestionIndex();
+  const features = getSuggestionFeatures(event);
+  const scores = {};
+
+  const score = (counts, weight) => {
+    if (!counts) return;
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    Object.keys(counts).forEach(tag => scores[tag] = (scores[tag] || 0) + weight * counts[tag] / total);
+  };
+
+  features.attendees.forEach(attendee => score(index.attendees[attendee], 3));
+  score(index.organizers[features.organizer], 2);
+  features.words.forEach(word => score(index.words[word], 1));
+
+  return Object.keys(scores)
+    .filter(tag => !selectedTags.has(tag))
+    .sort((a, b) => scores[b] - scores[a])
+    .slice(0, SUGGESTED_TAGS_LIMIT);
+}
+
+/**
+ * Handles rebuilding the suggestion index from the homepage.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleRebuildSuggestions() {
+  log('handleRebuildSuggestions called');
+
+  let message = "Tag suggestions are already being rebuilt.";
+  try {
+    if (startSuggestionRebuildJob()) {
+      // Card actions must return quickly; the background job carries on from here
+      runSuggestionRebuildJob(RETRO_TAG_ACTION_BUDGET_SECONDS);
+      message = getRunningSuggestionRebuildJob()
+        ? `Rebuilding tag suggestions. ${describeJobContinuation()}.`
+        : "Tag suggestions rebuilt.";
+    }
+  } catch (error) {
+    log(`Error in handleRebuildSuggestions: ${error.message}`, error);
+    message = "Error rebuilding tag suggestions. Check logs.";
+  }
+
+  return CardService.newActionResponseBuilder()
+    .setNotification(CardService.newNotification()
+      .setText(message))
+    .build();
+}
+
+/**
+ * Builds an error card with a given message.
+ * @param {string} message - The error message to display.
+ * @returns {CardService.Card} The error card.
+ */
+function buildErrorCard(message) {
+  const card = CardService.newCardBuilder()
+    .setHeader(CardService.newCardHeader().setTitle('Error'))
+    .addSection(
+      CardService.newCardSection().addWidget(
+        CardService.newTextParagraph().setText(message)
+      )
+    )
+    .build();
+  return card;
+}
+
+/**
+ * Installs the background save trigger, unless it is already installed.
+ * Kept under its old name for running by hand from the script editor; the trigger
+ * now runs every BACKGROUND_SAVE_HOURS.
+ */
+function triggerEveryMinute() {
+  installBackgroundTrigger();
+}
+
+/**
+ * Makes sure exactly one background save trigger is installed, removing any duplicates.
+ * @returns {boolean} True if a trigger was created.
+ */
+function installBackgroundTrigger() {
+  const lock = LockService.getUserLock();
+  if (!lock.tryLock(10000)) {
+    throw new Error('Another change to the background jobs is in progress. Try again shortly.');
+  }
+
+  try {
+    const triggers = ScriptApp.getProjectTriggers()
+      .filter(trigger => trigger.getHandlerFunction() === 'saveTagsFromCache');
+    triggers.slice(1).forEach(trigger => ScriptApp.deleteTrigger(trigger));
+    if (triggers.length > 1) {
+      log(`Removed ${triggers.length - 1} duplicate background save triggers.`);
+    }
+
+    userProperties.deleteProperty('backgroundPaused');
+    if (triggers.length > 0) {
+      return false;
+    }
+
+    ScriptApp.newTrigger('saveTagsFromCache')
+      .timeBased()
+      .everyHours(BACKGROUND_SAVE_HOURS)
+      .create();
+    log('Background save trigger installed.');
+    return true;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Records the outcome of a background save run for the homepage.
+ * @param {Object} status - The run: { startedAt, finishedAt, saved, failed, error }.
+ */
+function recordBackgroundRun(status) {
+  userProperties.setProperty('backgroundJobStatus', JSON.stringify(status));
+}
+
+/**
+ * Builds the homepage section showing the background jobs and their last run.
+ * @returns {CardService.CardSection} The section.
+ */
+function buildBackgroundJobsSection() {
+  const triggers = ScriptApp.getProjectTriggers();
+  const saveTriggers = triggers.filter(trigger => trigger.getHandlerFunction() === 'saveTagsFromCache');
+  const paused = userProperties.getProperty('backgroundPaused') === 'true';
+  const lastRun = JSON.parse(userProperties.getProperty('backgroundJobStatus'));
+  const timeZone = Session.getScriptTimeZone();
+
+  let state = "Not installed. Tags are only saved when you save the event.";
+  if (saveTriggers.length > 0) {
+    state = paused ? "Paused" : `Running every ${BACKGROUND_SAVE_HOURS} hour(s)`;
+  }
+
+  const stateText = CardService.newDecoratedText()
+    .setTopLabel("Background save")
+    .setText(state)
+    .setWrapText(true);
+  if (saveTriggers.length > 1) {
+    stateText.setBottomLabel(`${saveTriggers.length} triggers installed; install again to remove the duplicates`);
+  }
+
+  const section = CardService.newCardSection()
+    .setHeader("Background Jobs")
+    .setCollapsible(true)
+    .setNumUncollapsibleWidgets(2)
+    .addWidget(stateText);
+
+  if (lastRun) {
+    const result = lastRun.error
+      ? `<font color="#d50000">Failed: ${lastRun.error}</font>`
+      : `${lastRun.saved} saved, ${lastRun.failed} not saved`;
+    section.addWidget(CardService.newDecoratedText()
+      .setTopLabel(`Last run ${Utilities.formatDate(new Date(lastRun.startedAt), timeZone, 'yyyy-MM-dd HH:mm')}`)
+      .setText(result)
+      .setWrapText(true));
+  }
+
+  // Long jobs have no triggers of their own; each background run continues them
+  const runningJobs = [];
+  if (JSON.parse(userProperties.getProperty('retroTagJob'))?.status === 'running') {
+    runningJobs.push("Retro-tagging");
+  }
+  if (getRunningTagMigrationJob()) {
+    runningJobs.push("Tag rename");
+  }
+  if (getRunningSuggestionRebuildJob()) {
+    runningJobs.push("Suggestion rebuild");
+  }
+  if (runningJobs.length > 0) {
+    section.addWidget(CardService.newDecoratedText()
+      .setTopLabel("Continuing in the background")
+      .setText(runningJobs.join(', '))
+      .setWrapText(true));
+  }
+
+  const buttons = CardService.newButtonSet();
+  if (saveTriggers.length !== 1) {
+    buttons.addButton(CardService.newTextButton()
+      .setText("Install")
+      .setOnClickAction(CardService.newAction()
+        .setFunctionName("handleInstallBackgroundJobs")));
+  }
+  if (saveTriggers.length > 0) {
+    buttons.addButton(CardService.newTextButton()
+      .setText(paused ? "Resume" : "Pause")
+      .setOnClickAction(CardService.newAction()
+        .setFunctionName("handlePauseBackgroundJobs")
+        .setParameters({ paused: String(!paused) })));
+    buttons.addButton(CardService.newTextButton()
+      .setText("Remove")
+      .setOnClickAction(CardService.newAction()
+        .setFunctionName("handleRemoveBackgroundJobs")));
+  }
+  section.addWidget(buttons);
+
+  return section;
+}
+
+/**
+ * Builds the response shown after a background job action.
+ * @param {string} message - The notification text.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function buildBackgroundJobsResponse(message) {
+  return CardService.newActionResponseBuilder()
+    .setNotification(CardService.newNotification()
+      .setText(message))
+    .setNavigation(CardService.newNavigation().updateCard(createHomePageCard()))
+    .setStateChanged(true)
+    .build();
+}
+
+/**
+ * Handles installing the background save trigger from the homepage.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleInstallBackgroundJobs() {
+  log('handleInstallBackgroundJobs called');
+
+  try {
+    const created = installBackgroundTrigger();
+    return buildBackgroundJobsResponse(created ? "Background save installed." : "Background save was already installed.");
+  } catch (error) {
+    log(`Error in handleInstallBackgroundJobs: ${error.message}`, error);
+    return buildBackgroundJobsResponse(`Could not install background save: ${error.message}`);
+  }
+}
+
+/**
+ * Handles pausing or resuming the background save. A paused trigger stays
+ * installed but does nothing until resumed.
+ * @param {Object} e - The event object.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handlePauseBackgroundJobs(e) {
+  log('handlePauseBackgroundJobs called', e);
+
+  if (e.parameters.paused === 'true') {
+    userProperties.setProperty('backgroundPaused', 'true');
+    return buildBackgroundJobsResponse("Background save paused.");
+  }
+  userProperties.deleteProperty('backgroundPaused');
+  return buildBackgroundJobsResponse("Background save resumed.");
+}
+
+/**
+ * Handles removing the background save trigger from the homepage.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleRemoveBackgroundJobs() {
+  log('handleRemoveBackgroundJobs called');
+
+  try {
+    deleteTriggersFor('saveTagsFromCache');
+    userProperties.deleteProperty('backgroundPaused');
+    return buildBackgroundJobsResponse("Background save removed.");
+  } catch (error) {
+    log(`Error in handleRemoveBackgroundJobs: ${error.message}`, error);
+    return buildBackgroundJobsResponse("Error removing background save. Check logs.");
+  }
+}
+
+/**
+ * Runs the "Remove Calendar Tagger" universal action: asks the user to confirm removal.
+ * @returns {CardService.UniversalActionResponse} The card to show.
+ */
+function handleUninstall() {
+  log('handleUninstall called');
+
+  const pendingCount = getQueueEntries().length;
+  const section = CardService.newCardSection()
+    .addWidget(CardService.newTextParagraph()
+      .setText("This removes Calendar Tagger's background jobs and everything it has stored for you: " +
+        "your settings, favourites, tag history kept in your account, suggestions and pending writes. " +
+        "Tags already saved on your events are kept."));
+
+  if (pendingCount > 0) {
+    section.addWidget(CardService.newTextParagraph()
+      .setText(`<font color="#d50000">${pendingCount} tag change(s) have not been saved yet and will be lost.</font>`));
+  }
+
+  section.addWidget(CardService.newTextButton()
+    .setText("Remove Calendar Tagger")
+    .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+    .setOnClickAction(CardService.newAction()
+      .setFunctionName("handleConfirmUninstall")));
+
+  const card = CardService.newCardBuilder()
+    .setHeader(CardService.newCardHeader().setTitle("Remove Calendar Tagger"))
+    .addSection(section)
+    .build();
+
+  return CardService.newUniversalActionResponseBuilder()
+    .displayAddOnCards([card])
+    .build();
+}
+
+/**
+ * Handles confirming removal: deletes the user's triggers, cached state and stored properties.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleConfirmUninstall() {
+  log('handleConfirmUninstall called');
+
+  try {
+    ScriptApp.getProjectTriggers().forEach(trigger => ScriptApp.deleteTrigger(trigger));
+
+    // Cache entries are per event and can't be listed; the known ones go now, the rest expire within 6 hours
+    const cacheKeys = ['pendingConfig'];
+    getQueueEntries().forEach(entry => cacheKeys.push(entry.cacheKey, `baseline_${entry.cacheKey}`));
+    userCache.removeAll(cacheKeys);
+
+    userProperties.deleteAllProperties();
+    log('Calendar Tagger removed.');
+
+    const card = CardService.newCardBuilder()
+      .setHeader(CardService.newCardHeader().setTitle("Calendar Tagger Removed"))
+      .addSection(CardService.newCardSection()
+        .addWidget(CardService.newTextParagraph()
+          .setText("Your background jobs and stored data have been removed. " +
+            "To remove the add-on itself, uninstall it from the Google Workspace Marketplace or your add-on settings.")))
+      .build();
+
+    return CardService.newActionResponseBuilder()
+      .setNavigation(CardService.newNavigation().updateCard(card))
+      .setStateChanged(true)
+      .build();
+  } catch (error) {
+    log(`Error in handleConfirmUninstall: ${error.message}`, error);
+    return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification()
+        .setText("Error removing Calendar Tagger. Check logs."))
+      .build();
+  }
+}
+
+
+/**
+ * Extracts all tags from the event title that match valid tags in USER_TAGS (case-insensitive).
+ * Returns an array of the matching tags from USER_TAGS.
+ * @param {string} title - The event title.
+ * @returns {string[]} - An array of matching tags from USER_TAGS.
+ */
+function extractTagFromTitle(title) {
+  if (!title) return [];
+
+  const USER_TAGS = getUserTags();
+  const matchingTags = [];
+
+  // Use a regular expression to find all tags in the title (case-insensitive), including nested ones like #Client/Acme
+  const tagRegex = new RegExp(`#\\w+(?:${TAG_SEPARATOR}\\w+)*`, 'gi');
+  let match;
+  while ((match = tagRegex.exec(title)) !== null) {
+    const extractedTag = match[0];
+
+    // Find the matching tag in USER_TAGS (case-insensitive)
+    const matchingTag = USER_TAGS.find(tag => tag.toLowerCase() === extractedTag.toLowerCase());
+
+    if (matchingTag) {
+      matchingTags.push(matchingTag); // Add the matching tag to the array
+    }
+  }
+
+  return matchingTags;
+}
+
+/**
+ * Creates the onHomePageOpened trigger and card.
+ */
+function onHomePageOpen() {
+  handleRefreshTags();
+  return createHomePageCard();
+}
+
+/**
+ * Creates the homepage card with spreadsheet configuration, tag display, and refresh button.
+ *
+ * @returns {CardService.Card} The homepage card.
+ */
+function createHomePageCard() {
+  log('createHomePageCard called');
+  const card = CardService.newCardBuilder();
+
+  // Spreadsheet ID input section
+  const spreadsheetIdInput = CardService.newTextInput()
+    .setFieldName("spreadsheet_id")
+    .setTitle("Enter Spreadsheet ID")
+    .setValue(userProperties.getProperty("spreadsheetId") || "");
+
+  const sheetNameInput = CardService.newTextInput()
+    .setFieldName("sheet_name")
+    .setTitle("Enter Sheet Name")
+    .setValue(userProperties.getProperty("sheetName") || "");
+
+  const columnInput = CardService.newTextInput()
+    .setFieldName("column")
+    .setTitle("Enter Tag Column (letter or header, e.g., A or Tag)")
+    .setValue(userProperties.getProperty("column") || "");
+
+  const emailDomainColumnInput = CardService.newTextInput()
+    .setFieldName("email_domain_column")
+    .setTitle("Enter Email Domain Column (letter or header, e.g., B or Domain)")
+    .setValue(userProperties.getProperty("emailDomainColumn") || "");
+
+  const colorColumnInput = CardService.newTextInput()
+    .setFieldName("color_column")
+    .setTitle("Enter Tag Color Column (optional, letter or header)")
+    .setValue(userProperties.getProperty("colorColumn") || "");
+
+  const groupColumnInput = CardService.newTextInput()
+    .setFieldName("group_column")
+    .setTitle("Enter Tag Group Column (optional, letter or header)")
+    .setValue(userProperties.getProperty("groupColumn") || "");
+
+  const headerRowSwitch = buildSettingSwitch("headerRow", "header_row", "First row is a header",
+    "Always skipped when columns are given by header name");
+
+  const disabledColorCalendars = JSON.parse(userProperties.getProperty("colorDisabledCalendars")) || [];
+  const colorCalendarsInput = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.CHECK_BOX)
+    .setFieldName("color_calendars")
+    .setTitle("Color Events by Tag On");
+  getUserCalendars().forEach(calendar => {
+    colorCalendarsInput.addItem(calendar.summaryOverride || calendar.summary || calendar.id, calendar.id, !disabledColorCalendars.includes(calendar.id));
+  });
+
+  const csvFileInput = CardService.newTextInput()
+    .setFieldName("csv_file_id")
+    .setTitle("Drive CSV File ID (optional)")
+    .setValue(userProperties.getProperty("csvFileId") || "");
+
+  const inlineTagsInput = CardService.newTextInput()
+    .setFieldName("inline_tags")
+    .setTitle("Inline Tags (optional, comma-separated)")
+    .setValue(userProperties.getProperty("inlineTags") || "");
+
+  const catalogueUrlInput = CardService.newTextInput()
+    .setFieldName("catalogue_url")
+    .setTitle("Central Catalogue URL (optional, CSV or JSON)")
+    .setValue(userProperties.getProperty("catalogueUrl") || "");
+
+  const tagSourceOrderInput = CardService.newTextInput()
+    .setFieldName("tag_source_order")
+    .setTitle("Tag Source Precedence")
+    .setHint(`Highest first, from: ${DEFAULT_TAG_SOURCE_ORDER.join(', ')}`)
+    .setValue(userProperties.getProperty("tagSourceOrder") || "");
+
+  const sharedCalendars = JSON.parse(userProperties.getProperty("sharedCalendars")) || [];
+  const sharedCalendarsInput = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.CHECK_BOX)
+    .setFieldName("shared_calendars")
+    .setTitle("Share All Tags with Attendees On");
+  getUserCalendars().forEach(calendar => {
+    sharedCalendarsInput.addItem(calendar.summaryOverride || calendar.summary || calendar.id, calendar.id, sharedCalendars.includes(calendar.id));
+  });
+
+  const excludedDomainsInput = CardService.newTextInput()
+    .setFieldName("excluded_domains")
+    .setTitle("Domains to Ignore for Auto-tagging (comma-separated)")
+    .setValue(userProperties.getProperty("excludedDomains") || "");
+
+  const internalDomainsInput = CardService.newTextInput()
+    .setFieldName("internal_domains")
+    .setTitle("Other Internal Domains (comma-separated)")
+    .setValue(userProperties.getProperty("internalDomains") || "");
+
+  const excludeOwnDomainSwitch = buildSettingSwitch("excludeOwnDomain", "exclude_own_domain", "Ignore my own domain");
+
+  const tagTextMode = userProperties.getProperty("tagTextMode") || (getOrgSetting("tagTextMode") === null ? TAG_TEXT_MODES.OFF : null);
+  const tagTextModeInput = addOrgDefaultItem(CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.DROPDOWN)
+    .setFieldName("tag_text_mode")
+    .setTitle("Show Tags in Event Text"), "tagTextMode")
+    .addItem("Off", TAG_TEXT_MODES.OFF, tagTextMode === TAG_TEXT_MODES.OFF)
+    .addItem("In the title", TAG_TEXT_MODES.TITLE, tagTextMode === TAG_TEXT_MODES.TITLE)
+    .addItem("In the description", TAG_TEXT_MODES.DESCRIPTION, tagTextMode === TAG_TEXT_MODES.DESCRIPTION);
+
+  const tagTextPlacement = userProperties.getProperty("tagTextPlacement") || (getOrgSetting("tagTextPlacement") === null ? 'start' : null);
+  const tagTextPlacementInput = addOrgDefaultItem(CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.DROPDOWN)
+    .setFieldName("tag_text_placement")
+    .setTitle("Title Tag Placement"), "tagTextPlacement")
+    .addItem("Start of title", 'start', tagTextPlacement === 'start')
+    .addItem("End of title", 'end', tagTextPlacement === 'end');
+
+  const saveConfigAction = CardService.newAction()
+    .setFunctionName("handleSaveConfig");
+
+  const saveConfigButton = CardService.newTextButton()
+    .setText("Save Configuration")
+    .setOnClickAction(saveConfigAction);
+
+  const configSection = CardService.newCardSection()
+    .setHeader("Spreadsheet Configuration")
+    .addWidget(addOrgSettingHint(spreadsheetIdInput, "spreadsheetId"))
+    .addWidget(addOrgSettingHint(sheetNameInput, "sheetName"))
+    .addWidget(addOrgSettingHint(columnInput, "column"))
+    .addWidget(addOrgSettingHint(emailDomainColumnInput, "emailDomainColumn"))
+    .addWidget(headerRowSwitch)
+    .addWidget(addOrgSettingHint(colorColumnInput, "colorColumn"))
+    .addWidget(colorCalendarsInput)
+    .addWidget(sharedCalendarsInput)
+    .addWidget(addOrgSettingHint(groupColumnInput, "groupColumn"))
+    .addWidget(addOrgSettingHint(csvFileInput, "csvFileId"))
+    .addWidget(addOrgSettingHint(inlineTagsInput, "inlineTags"))
+    .addWidget(addOrgSettingHint(catalogueUrlInput, "catalogueUrl"))
+    .addWidget(addOrgSettingHint(tagSourceOrderInput, "tagSourceOrder"))
+    .addWidget(addOrgSettingHint(excludedDomainsInput, "excludedDomains"))
+    .addWidget(excludeOwnDomainSwitch)
+    .addWidget(addOrgSettingHint(internalDomainsInput, "internalDomains"))
+    .addWidget(tagTextModeInput)
+    .addWidget(tagTextPlacementInput)
+    .addWidget(saveConfigButton);
+
+  card.addSection(configSection);
+
+  const orgSettingsSection = buildOrgSettingsSection();
+  if (orgSettingsSection) {
+    card.addSection(orgSettingsSection);
+  }
+
+  // Refresh button section
+  const refreshAction = CardService.newAction()
+    .setFunctionName("handleRefreshTags");
+
+  const refreshButton = CardService.newTextButton()
+    .setText("Refresh Tags")
+    .setOnClickAction(refreshAction);
+
+  const refreshSection = CardService.newCardSection()
+    .setHeader("Refresh Tags")
+    .addWidget(refreshButton);
+
+  card.addSection(refreshSection);
+
+  // Current tags section
+  const currentTags = getUserTags();
+  const currentTagsSection = CardService.newCardSection()
+    .setHeader("Current Tags");
+
+  if (currentTags.length > 0) {
+    // Create buttons for each tag
+    const tagColors = getTagColors();
+    groupTagsByParent(currentTags).forEach((tags, parent) => {
+      const buttonsSet = CardService.newButtonSet();
+      tags.forEach(tag => {
+        const button = CardService.newTextButton()
+          .setText(parent ? getTagLabelUnder(tag, parent) : tag)
+          .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+          .setBackgroundColor(getTagButtonColor(tag, tagColors) || "#d3d3d3")
+          .setOnClickAction(CardService.newAction()
+            .setFunctionName("handleTagClickFromHomepage")
+            .setParameters({ tag: tag }));
+        buttonsSet.addButton(button);
+      });
+
+      if (parent) {
+        currentTagsSection.addWidget(CardService.newTextParagraph()
+          .setText(`<b>${parent}</b>`));
+      }
+      currentTagsSection.addWidget(buttonsSet);
+    });
+  } else {
+    currentTagsSection.addWidget(CardService.newTextParagraph()
+      .setText("Error: Unable to retrieve tags. Please check your spreadsheet configuration and try refreshing."));
+  }
+
+  getTagSourceErrors().forEach(error => currentTagsSection.addWidget(CardService.newDecoratedText()
+    .setTopLabel(`Could not load: ${error.source}`)
+    .setText(`<font color="#d50000">${error.message}</font>`)
+    .setWrapText(true)));
+
+  addTagManagementWidgets(currentTagsSection);
+  card.addSection(currentTagsSection);
+
+  // Pending and failed tag writes section
+  const pendingWritesSection = buildPendingWritesSection();
+  if (pendingWritesSection) {
+    card.addSection(pendingWritesSection);
+  }
+
+  card.addSection(buildBackgroundJobsSection());
+  card.addSection(buildRetroTagSection());
+  card.addSection(buildReportsSection());
+
+  log('createHomePageCard finished');
+  return card.build();
+}
+
+/**
+ * Gets the organisation configuration an admin stores as JSON in the script property
+ * `orgConfig`. It is read once per execution.
+ * @returns {Object} The configuration: { defaultTags, lockedTags, settings, lockUserOverrides,
+ *   cacheTime, debugMode }, all optional.
+ */
+function getOrgConfig() {
+  if (orgConfig === null) {
+    orgConfig = {};
+    try {
+      orgConfig = JSON.parse(scriptProperties.getProperty('orgConfig')) || {};
+    } catch (error) {
+      // orgConfig is already set, so log() can read it without coming back here
+      log(`Invalid organisation configuration: ${error.message}`);
+    }
+  }
+  return orgConfig;
+}
+
+/**
+ * Gets a setting's organisation value.
+ * @param {string} name - The setting, one of the keys of CONFIG_SETTINGS.
+ * @returns {string|null} The value, or null if the organisation doesn't set it.
+ */
+function getOrgSetting(name) {
+  const value = (getOrgConfig().settings || {})[name];
+  return value === undefined || value === null ? null : String(value);
+}
+
+/**
+ * Tests whether users are prevented from overriding a setting.
+ * @param {string} name - The setting, one of the keys of CONFIG_SETTINGS.
+ * @returns {boolean} True if the organisation sets and locks it.
+ */
+function isSettingLocked(name) {
+  return getOrgConfig().lockUserOverrides === true && getOrgSetting(name) !== null;
+}
+
+/**
+ * Gets the value of a setting: the user's own value, else the organisation's.
+ * A locked organisation value always wins.
+ * @param {string} name - The setting, one of the keys of CONFIG_SETTINGS.
+ * @returns {string|null} The value, or null if neither sets it.
+ */
+function getSetting(name) {
+  if (isSettingLocked(name)) {
+    return getOrgSetting(name);
+  }
+  return userProperties.getProperty(name) || getOrgSetting(name);
+}
+
+/**
+ * Gets the tags every user starts with: the organisation's, or DEFAULT_USER_TAGS.
+ * @returns {string[]} The default tags.
+ */
+function getDefaultTags() {
+  const tags = getOrgConfig().defaultTags;
+  return Array.isArray(tags) ? tags.map(normalizeTag).filter(tag => tag) : DEFAULT_USER_TAGS;
+}
+
+/**
+ * Gets the tags the organisation requires in every user's tag list.
+ * @returns {string[]} The locked tags.
+ */
+function getLockedTags() {
+  const tags = getOrgConfig().lockedTags;
+  return Array.isArray(tags) ? tags.map(normalizeTag).filter(tag => tag) : [];
+}
+
+/**
+ * Gets how long the event card's working copy of its tags is cached.
+ * @returns {number} Seconds.
+ */
+function getCacheTime() {
+  return Number(getOrgConfig().cacheTime) || CACHE_TIME;
+}
+
+/**
+ * Notes the organisation's value of a setting under its homepage input.
+ * @param {CardService.TextInput} input - The input.
+ * @param {string} name - The setting, one of the keys of CONFIG_SETTINGS.
+ * @returns {CardService.TextInput} The input.
+ */
+function addOrgSettingHint(input, name) {
+  const orgValue = getOrgSetting(name);
+  if (orgValue !== null) {
+    input.setHint(isSettingLocked(name) ? `Locked by your organisation: ${orgValue}` : `Organisation default: ${orgValue}`);
+  }
+  return input;
+}
+
+/**
+ * Adds an "Organisation default" choice to a homepage dropdown when the organisation
+ * sets the setting. It is selected while the user has no value of their own.
+ * @param {CardService.SelectionInput} input - The dropdown.
+ * @param {string} name - The setting, one of the keys of CONFIG_SETTINGS.
+ * @returns {CardService.SelectionInput} The dropdown.
+ */
+function addOrgDefaultItem(input, name) {
+  const orgValue = getOrgSetting(name);
+  if (orgValue !== null) {
+    input.addItem(`Organisation default (${orgValue})`, ORG_DEFAULT_SETTING, !userProperties.getProperty(name));
+  }
+  return input;
+}
+
+/**
+ * Builds the homepage input for an on/off setting: a switch, or a dropdown that can
+ * also go back to the organisation default when the organisation sets it.
+ * @param {string} name - The setting, one of the keys of CONFIG_SETTINGS.
+ * @param {string} fieldName - The form field name.
+ * @param {string} text - The input's label.
+ * @param {string} [bottomLabel] - Extra explanation under the switch.
+ * @returns {CardService.Widget} The input.
+ */
+function buildSettingSwitch(name, fieldName, text, bottomLabel) {
+  const value = userProperties.getProperty(name);
+  if (getOrgSetting(name) === null) {
+    const toggle = CardService.newDecoratedText()
+      .setText(text)
+      .setSwitchControl(CardService.newSwitch()
+        .setFieldName(fieldName)
+        .setValue("true")
+        .setSelected(value === 'true'));
+    return bottomLabel ? toggle.setBottomLabel(bottomLabel) : toggle;
+  }
+
+  return addOrgDefaultItem(CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.DROPDOWN)
+    .setFieldName(fieldName)
+    .setTitle(text), name)
+    .addItem("On", 'true', value === 'true')
+    .addItem("Off", 'false', value === 'false');
+}
+
+/**
+ * Builds the homepage section showing where each organisation-managed setting's
+ * value comes from.
+ * @returns {CardService.CardSection|null} The section, or null without an organisation configuration.
+ */
+function buildOrgSettingsSection() {
+  const org = getOrgConfig();
+  const names = Object.keys(CONFIG_SETTINGS).filter(name => getOrgSetting(name) !== null);
+  if (names.length === 0 && !org.defaultTags && !org.lockedTags) return null;
+
+  const section = CardService.newCardSection()
+    .setHeader("Organisation Settings")
+    .setCollapsible(true)
+    .setNumUncollapsibleWidgets(1)
+    .addWidget(CardService.newTextParagraph()
+      .setText(org.lockUserOverrides === true
+        ? "Your organisation manages these settings and they can't be changed here."
+        : "Your organisation provides these settings. Your own settings take precedence; clear a field to use the organisation's."));
+
+  if (org.defaultTags) {
+    section.addWidget(CardService.newDecoratedText()
+      .setTopLabel("Default Tags")
+      .setText(getDefaultTags().join(' '))
+      .setWrapText(true));
+  }
+  if (org.lockedTags) {
+    section.addWidget(CardService.newDecoratedText()
+      .setTopLabel("Required Tags")
+      .setText(getLockedTags().join(' '))
+      .setBottomLabel("Always in your tag list")
+      .setWrapText(true));
+  }
+
+  names.forEach(name => {
+    const ownValue = userProperties.getProperty(name);
+    let source = "From your organisation";
+    if (isSettingLocked(name)) {
+      source = "Locked by your organisation";
+    } else if (ownValue) {
+      source = `Your setting overrides the organisation's: ${getOrgSetting(name)}`;
+    }
+    section.addWidget(CardService.newDecoratedText()
+      .setTopLabel(CONFIG_SETTINGS[name])
+      .setText(getSetting(name))
+      .setBottomLabel(source)
+      .setWrapText(true));
+  });
+
+  return section;
+}
+
+/**
+ * Handles refreshing the user tags from the spreadsheet.
+ *
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleRefreshTags() {
+  log('handleRefreshTags called');
+
+  try {
+    // Invalidate cached tags and rules
+    invalidateTagCache();
+
+    // Force tag reload
+    const tags = getUserTags();
+    log('Tags after refresh:', tags);
+
+    log('handleRefreshTags finished');
+    // Create a new card with updated tag information
+    const updatedCard = createHomePageCard();
+
+    // Update the current card
+    return CardService.newActionResponseBuilder()
+        .setNavigation(CardService.newNavigation().updateCard(updatedCard))
+        .setStateChanged(true)
+        .build();
+
+  } catch (error) {
+    log(`Error in handleRefreshTags: ${error.message}`, error);
+    return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification()
+      .setText("Error refreshing tags. Check logs."))
+      .setStateChanged(true)
+      .build();
+  }
+}
+/**
+ * Handles saving the spreadsheet configuration from the homepage card.
+ *
+ * @param {Object} e - The event object.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleSaveConfig(e) {
+  log('handleSaveConfig called', e);
+  // Calendars are opted out by unticking them, so calendars added later are coloured by default
+  const colorCalendars = getMultiInput(e, 'color_calendars');
+  const colorDisabledCalendars = getUserCalendars().map(calendar => calendar.id).filter(id => !colorCalendars.includes(id));
+
+  const config = {
+    spreadsheetId: (e.formInput.spreadsheet_id || "").trim(),
+    sheetName: (e.formInput.sheet_name || "").trim(),
+    column: (e.formInput.column || "").trim(),
+    emailDomainColumn: (e.formInput.email_domain_column || "").trim(),
+    headerRow: e.formInput.header_row || "false",
+    excludedDomains: e.formInput.excluded_domains || "",
+    excludeOwnDomain: e.formInput.exclude_own_domain || "false",
+    internalDomains: e.formInput.internal_domains || "",
+    tagTextMode: e.formInput.tag_text_mode || TAG_TEXT_MODES.OFF,
+    tagTextPlacement: e.formInput.tag_text_placement || 'start',
+    colorColumn: (e.formInput.color_column || "").trim(),
+    groupColumn: (e.formInput.group_column || "").trim(),
+    colorDisabledCalendars: JSON.stringify(colorDisabledCalendars),
+    sharedCalendars: JSON.stringify(getMultiInput(e, 'shared_calendars')),
+    csvFileId: (e.formInput.csv_file_id || "").trim(),
+    inlineTags: e.formInput.inline_tags || "",
+    catalogueUrl: (e.formInput.catalogue_url || "").trim(),
+    tagSourceOrder: e.formInput.tag_source_order || ""
+  };
+  // Settings locked by the organisation keep the organisation's value
+  Object.keys(config).filter(isSettingLocked).forEach(name => delete config[name]);
+  log(`Saving Spreadsheet ID: ${config.spreadsheetId}, Sheet Name: ${config.sheetName}, Tag Column: ${config.column}, Email Domain Column: ${config.emailDomainColumn}`);
+
+  try {
+    // Check the settings in effect, so those the organisation provides aren't asked for
+    const settings = getSpreadsheetSettings(config);
+
+    // Only the spreadsheet is previewed; other sources report their errors on the homepage
+    if (!settings.spreadsheetId) {
+      saveConfig(config);
+
+      log('handleSaveConfig finished');
+      return CardService.newActionResponseBuilder()
+        .setNotification(CardService.newNotification()
+          .setText("Configuration saved."))
+        .setStateChanged(true)
+        .build();
+    }
+
+    if (!settings.sheetName) {
+      throw new Error('Enter the sheet name.');
+    }
+    const preview = validateSpreadsheetConfig(settings);
+    // Store the letters for the columns the user entered; the organisation's values are
+    // resolved each time they are read, as the organisation set them
+    SPREADSHEET_SETTINGS.filter(name => config[name] && config[name] !== ORG_DEFAULT_SETTING)
+      .forEach(name => { config[name] = settings[name]; });
+
+    // The configuration is only saved once the user has seen what it loads
+    userCache.put('pendingConfig', JSON.stringify(config), 3600); // Cache for 1 hour
+
+    log('handleSaveConfig finished');
+    return CardService.newActionResponseBuilder()
+      .setNavigation(CardService.newNavigation().pushCard(buildConfigPreviewCard(settings, preview)))
+      .build();
+  } catch (error) {
+    log(`Error in handleSaveConfig: ${error.message}`, error);
+    return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification()
+        .setText(`Configuration not saved: ${error.message}`))
+      .build();
+  }
+}
+
+/**
+ * Handles saving the configuration after the user has checked the preview.
+ *
+ * @param {Object} e - The event object.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleConfirmConfig(e) {
+  log('handleConfirmConfig called', e);
+
+  const config = JSON.parse(userCache.get('pendingConfig'));
+  if (!config) {
+    return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification()
+        .setText("The preview has expired. Please save the configuration again."))
+      .build();
+  }
+
+  try {
+    saveConfig(config);
+    userCache.remove('pendingConfig');
+
+    return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification()
+        .setText("Configuration saved."))
+      .setNavigation(CardService.newNavigation().popToRoot().updateCard(createHomePageCard()))
+      .setStateChanged(true)
+      .build();
+  } catch (error) {
+    log(`Error in handleConfirmConfig: ${error.message}`, error);
+    return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification()
+        .setText("Error saving configuration. Check logs."))
+      .build();
+  }
+}
+
+/**
+ * Stores a configuration and clears everything cached from the previous one.
+ * Blank settings and those set to ORG_DEFAULT_SETTING are deleted, so the
+ * organisation's value applies to them.
+ * @param {Object} config - A map of user property name to value.
+ */
+function saveConfig(config) {
+  log('Saving configuration:', config);
+  const values = {};
+  Object.keys(config).forEach(name => {
+    if (config[name] === '' || config[name] === ORG_DEFAULT_SETTING) {
+      userProperties.deleteProperty(name);
+    } else {
+      values[name] = config[name];
+    }
+  });
+  userProperties.setProperties(values);
+
+  // Invalidate cached tags and rules
+  invalidateTagCache();
+}
+
+/**
+ * Converts a 0-based column index to its letter, e.g. 0 to A and 26 to AA.
+ * @param {number} index - The column index.
+ * @returns {string} The column letter.
+ */
+function columnLetter(index) {
+  let letter = '';
+  for (let number = index + 1; number > 0; number = Math.floor((number - 1) / 26)) {
+    letter = String.fromCharCode(65 + (number - 1) % 26) + letter;
+  }
+  return letter;
+}
+
+/**
+ * Converts a column letter to its 0-based index, e.g. A to 0 and AA to 26.
+ * @param {string} letter - The column letter.
+ * @returns {number} The column index.
+ */
+function columnIndex(letter) {
+  return letter.toUpperCase().split('').reduce((number, char) => number * 26 + char.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Gets the first row of the tag sheet holding data, skipping the header row if there is one.
+ * @param {Object} settings - The spreadsheet settings, their columns resolved.
+ * @returns {number} The 1-based row number.
+ */
+function getFirstDataRow(settings) {
+  return settings.headerRow === 'true' ? 2 : 1;
+}
+
+/**
+ * Gets the spreadsheet settings in effect. Each is the configuration's own value, or
+ * the organisation's when the setting is locked, left blank or set to ORG_DEFAULT_SETTING.
+ * Columns may still be header names; resolveSpreadsheetColumns turns them into letters.
+ * @param {Object} [config] - A configuration about to be saved. Defaults to the stored settings.
+ * @returns {Object} The settings named in SPREADSHEET_SETTINGS, '' for those not set.
+ */
+function getSpreadsheetSettings(config) {
+  const settings = {};
+  SPREADSHEET_SETTINGS.forEach(name => {
+    if (!config) {
+      settings[name] = getSetting(name) || '';
+      return;
+    }
+    const value = config[name];
+    const fromOrg = isSettingLocked(name) || !value || value === ORG_DEFAULT_SETTING;
+    settings[name] = fromOrg ? getOrgSetting(name) || '' : value;
+  });
+  return settings;
+}
+
+/**
+ * Replaces the column settings given as header names with their letters. Header names
+ * win over letters, so a column headed "Tag" is not read as column TAG, and a column
+ * mapped by name makes the first row a header.
+ * @param {Object} settings - The spreadsheet settings, updated in place.
+ * @param {Array} headerCells - The cells of the sheet's first row.
+ * @throws {Error} If a column is neither a letter nor a header.
+ */
+function resolveSpreadsheetColumns(settings, headerCells) {
+  const headers = headerCells.map(header => String(header).trim().toLowerCase());
+  Object.keys(SPREADSHEET_COLUMNS).forEach(field => {
+    const value = String(settings[field] || '').trim();
+    if (!value) return;
+
+    const index = headers.indexOf(value.toLowerCase());
+    if (index >= 0) {
+      settings[field] = columnLetter(index);
+      settings.headerRow = 'true';
+    } else if (/^[A-Z]{1,3}$/i.test(value)) {
+      settings[field] = value.toUpperCase();
+    } else {
+      throw new Error(`${SPREADSHEET_COLUMNS[field]} "${value}" is not a column letter or a header in row 1.`);
+    }
+  });
+}
+
+/**
+ * Opens the tag sheet with the spreadsheet settings in effect, its columns resolved to letters.
+ * @returns {{sheet: SpreadsheetApp.Sheet, settings: Object}} The sheet and the resolved settings.
+ * @throws {Error} If the settings are incomplete or the sheet cannot be opened.
+ */
+function openTagSheet() {
+  const settings = getSpreadsheetSettings();
+  if (!settings.spreadsheetId || !settings.sheetName || !settings.column) {
+    throw new Error('Configure the spreadsheet, sheet and tag column first.');
+  }
+
+  let spreadsheet;
+  try {
+    spreadsheet = SpreadsheetApp.openById(settings.spreadsheetId);
+  } catch (error) {
+    throw new Error(`Spreadsheet "${settings.spreadsheetId}" could not be opened: ${error.message}`);
+  }
+
+  const sheet = spreadsheet.getSheetByName(settings.sheetName);
+  if (!sheet) {
+    throw new Error(`Sheet "${settings.sheetName}" not found.`);
+  }
+
+  const headerCells = sheet.getLastRow() > 0 ? sheet.getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 1)).getValues()[0] : [];
+  resolveSpreadsheetColumns(settings, headerCells);
+  return { sheet: sheet, settings: settings };
+}
+
+/**
+ * Tests whether a domain mapping pattern is well formed: a domain such as `acme.com`,
+ * a wildcard pattern such as `*.acme.*`, or an email address.
+ * @param {string} pattern - The pattern.
+ * @returns {boolean} True if the pattern is well formed.
+ */
+function isValidEmailPattern(pattern) {
+  const label = '[a-z0-9*](?:[a-z0-9*-]*[a-z0-9*])?';
+  return new RegExp(`^(?:[^@\\s]+@)?${label}(?:\\.${label})+$`, 'i').test(pattern.trim());
+}
+
+/**
+ * Checks the spreadsheet settings of a configuration before it is saved: the
+ * spreadsheet must open, the sheet must exist and the tag column must hold tags.
+ * Columns given as header names are replaced with their letters, and the header
+ * row is skipped when columns are mapped by name or the sheet is marked as having one.
+ * @param {Object} config - The spreadsheet settings in effect, from getSpreadsheetSettings,
+ *   updated in place.
+ * @returns {{tags: string[], mappings: Object[], warnings: string[]}} The parsed tags,
+ *   the domain mappings ({tag, patterns}) and a warning for each problem row.
+ * @throws {Error} If the configuration cannot be used.
+ */
+function validateSpreadsheetConfig(config) {
+  let spreadsheet;
+  try {
+    spreadsheet = SpreadsheetApp.openById(config.spreadsheetId);
+  } catch (error) {
+    throw new Error(`Spreadsheet "${config.spreadsheetId}" could not be opened. Check the ID and that you have access.`);
+  }
+
+  const sheet = spreadsheet.getSheetByName(config.sheetName);
+  if (!sheet) {
+    const names = spreadsheet.getSheets().map(item => item.getName()).join(', ');
+    throw new Error(`Sheet "${config.sheetName}" not found. The spreadsheet has: ${names}.`);
+  }
+
+  const lastRow = sheet.getLastRow();
+  if (lastRow === 0) {
+    throw new Error(`Sheet "${config.sheetName}" is empty.`);
+  }
+  const values = sheet.getRange(1, 1, lastRow, Math.max(sheet.getLastColumn(), 1)).getValues();
+
+  if (!String(config.column || '').trim()) {
+    throw new Error('Enter the tag column.');
+  }
+  resolveSpreadsheetColumns(config, values[0]);
+
+  const firstRow = getFirstDataRow(config);
+  const cell = (row, field) => (config[field] ? String(row[columnIndex(config[field])] ?? '').trim() : '');
+
+  const tags = [];
+  const mappings = [];
+  const warnings = [];
+  const tagRows = {};
+
+  values.slice(firstRow - 1).forEach((row, index) => {
+    const rowNumber = firstRow + index;
+    const tag = normalizeTag(cell(row, 'column'));
+    const domains = cell(row, 'emailDomainColumn');
+    const color = cell(row, 'colorColumn');
+    const group = cell(row, 'groupColumn');
+
+    if (!tag) {
+      if (domains || color || group) {
+        warnings.push(`Row ${rowNumber}: blank tag`);
+      }
+      return;
+    }
+
+    const key = tag.toLowerCase();
+    if (tagRows[key]) {
+      warnings.push(`Row ${rowNumber}: duplicate of ${tagRows[key].tag} in row ${tagRows[key].row}`);
+    } else {
+      tagRows[key] = { tag: tag, row: rowNumber };
+      tags.push(tag);
+    }
+
+    if (domains) {
+      const patterns = domains.split(',').map(pattern => pattern.trim()).filter(pattern => pattern);
+      patterns.filter(pattern => !isValidEmailPattern(pattern))
+        .forEach(pattern => warnings.push(`Row ${rowNumber}: malformed domain "${pattern}"`));
+      mappings.push({ tag: tag, patterns: patterns });
+    }
+
+    if (color && !parseColorCell(color)) {
+      warnings.push(`Row ${rowNumber}: unknown colour "${color}"`);
+    }
+  });
+
+  if (tags.length === 0) {
+    throw new Error(`Column ${config.column} of "${config.sheetName}" holds no tags.`);
+  }
+  if (config.emailDomainColumn && mappings.length === 0) {
+    warnings.push(`Column ${config.emailDomainColumn} holds no email domains.`);
+  }
+
+  return { tags: tags, mappings: mappings, warnings: warnings };
+}
+
+/**
+ * Builds the card previewing the tags and domain mappings a configuration will load.
+ * @param {Object} config - The configuration.
+ * @param {Object} preview - The result of validateSpreadsheetConfig.
+ * @returns {CardService.Card} The card.
+ */
+function buildConfigPreviewCard(config, preview) {
+  const more = (count) => (count > CONFIG_PREVIEW_LIMIT ? ` …and ${count - CONFIG_PREVIEW_LIMIT} more` : '');
+
+  const summarySection = CardService.newCardSection()
+    .addWidget(CardService.newTextParagraph()
+      .setText(`${preview.tags.length} tags and ${preview.mappings.length} domain mappings from "${config.sheetName}"` +
+        (config.headerRow === 'true' ? ', skipping the header row.' : '.')))
+    .addWidget(CardService.newDecoratedText()
+      .setTopLabel("Columns")
+      .setText(`Tag ${config.column}` +
+        (config.emailDomainColumn ? `, Domain ${config.emailDomainColumn}` : '') +
+        (config.colorColumn ? `, Color ${config.colorColumn}` : '') +
+        (config.groupColumn ? `, Group ${config.groupColumn}` : '')));
+
+  const card = CardService.newCardBuilder()
+    .setHeader(CardService.newCardHeader().setTitle("Check Configuration"))
+    .addSection(summarySection);
+
+  if (preview.warnings.length > 0) {
+    const warningSection = CardService.newCardSection()
+      .setHeader(`Warnings (${preview.warnings.length})`);
+    preview.warnings.slice(0, CONFIG_PREVIEW_LIMIT).forEach(warning => warningSection.addWidget(CardService.newTextParagraph()
+      .setText(`<font color="#d50000">${warning}</font>`)));
+    if (preview.warnings.length > CONFIG_PREVIEW_LIMIT) {
+      warningSection.addWidget(CardService.newTextParagraph().setText(more(preview.warnings.length)));
+    }
+    card.addSection(warningSection);
+  }
+
+  card.addSection(CardService.newCardSection()
+    .setHeader("Tags")
+    .addWidget(CardService.newTextParagraph()
+      .setText(preview.tags.slice(0, CONFIG_PREVIEW_LIMIT).join(' ') + more(preview.tags.length))));
+
+  if (preview.mappings.length > 0) {
+    const mappingSection = CardService.newCardSection()
+      .setHeader("Domain Mappings")
+      .setCollapsible(true)
+      .setNumUncollapsibleWidgets(3);
+    preview.mappings.slice(0, CONFIG_PREVIEW_LIMIT).forEach(mapping => mappingSection.addWidget(CardService.newDecoratedText()
+      .setTopLabel(mapping.patterns.join(', '))
+      .setText(mapping.tag)
+      .setWrapText(true)));
+    card.addSection(mappingSection);
+  }
+
+  card.addSection(CardService.newCardSection()
+    .addWidget(CardService.newTextButton()
+      .setText("Save Configuration")
+      .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+      .setOnClickAction(CardService.newAction()
+        .setFunctionName("handleConfirmConfig"))));
+
+  return card.build();
+}
+
+/**
+ * Gets the tags for every attendee that matches a tag's email domain mapping.
+ * A tag may have several patterns: a domain (also matching its subdomains), a
+ * wildcard pattern such as `*.acme.*`, or a full email address.
+ * Matching is case-insensitive. Resource calendars and excluded domains are skipped.
+ *
+ * @param {Object[]} attendees - The event attendees.
+ * @param {Object} [sources] - Filled with each matched tag and the attendee that matched it.
+ * @returns {string[]} The matching tags, without duplicates.
+ */
+function getAutoTagFromAttendees(attendees, sources) {
+  log('getAutoTagFromAttendees called', attendees);
+
+  const tags = new Set();
+
+  try {
+    const index = getDomainIndex();
+    if (Object.keys(index.domains).length === 0 && Object.keys(index.addresses).length === 0 && index.wildcards.length === 0) {
+      log('No email domain mappings configured.');
+      return [];
+    }
+
+    const excludedPatterns = getExcludedDomainPatterns();
+
+    for (const attendee of attendees) {
+      const email = attendee.email;
+      if (!email || isResourceAttendee(attendee)) continue;
+
+      if (excludedPatterns.some(pattern => matchesEmailPattern(pattern, email))) {
+        log(`Skipping excluded attendee: ${email}`);
+        continue;
+      }
+      log(`Checking attendee email: ${email}`);
+
+      lookupDomainIndex(index, email).forEach(([tag, pattern]) => {
+        log(`Found match for ${email} on ${pattern}, tag: ${tag}`);
+        if (sources && !tags.has(tag)) {
+          sources[tag] = `Attendee ${email}`;
+        }
+        tags.add(tag);
+      });
+    }
+  } catch (error) {
+    log(`Error in getAutoTagFromAttendees: ${error.message}`, error);
+  }
+
+  if (tags.size === 0) {
+    log('No matching domain found for attendees.');
+  }
+  return Array.from(tags);
+}
+
+/**
+ * Tests an email address against a domain mapping pattern (case-insensitive).
+ * `acme.com` matches acme.com and any subdomain, `*` matches any characters,
+ * and a pattern with a local part (`bob@gmail.com`) must match the whole address.
+ * @param {string} pattern - The pattern.
+ * @param {string} email - The email address.
+ * @returns {boolean} True if the address matches.
+ */
+function matchesEmailPattern(pattern, email) {
+  const value = String(pattern).trim().toLowerCase();
+  const address = email.trim().toLowerCase();
+  if (!value) return false;
+
+  const isAddressPattern = value.indexOf('@') > 0;
+  const target = isAddressPattern ? address : (address.split('@')[1] || '');
+  const domainPattern = isAddressPattern ? value : value.replace(/^@/, '');
+
+  if (domainPattern.includes('*')) {
+    const regex = new RegExp(`^${domainPattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    return regex.test(target);
+  }
+  return target === domainPattern || (!isAddressPattern && target.endsWith(`.${domainPattern}`));
+}
+
+/**
+ * Checks whether an attendee is a room or other resource calendar.
+ * @param {Object} attendee - The attendee.
+ * @returns {boolean} True for resources.
+ */
+function isResourceAttendee(attendee) {
+  return !!attendee.resource || /@resource\.calendar\.google\.com$/i.test(attendee.email || '');
+}
+
+/**
+ * Gets the user's own email domain.
+ * @returns {string} The domain, or an empty string if unknown.
+ */
+function getUserDomain() {
+  const email = Session.getActiveUser().getEmail() || '';
+  return (email.split('@')[1] || '').toLowerCase();
+}
+
+/**
+ * Gets the domain patterns excluded from attendee auto-tagging: the configured
+ * excluded domains plus, if switched on, the user's own domain.
+ * @returns {string[]} The patterns.
+ */
+function getExcludedDomainPatterns() {
+  const patterns = splitCell(getSetting("excludedDomains"));
+  if (getSetting("excludeOwnDomain") === 'true') {
+    const ownDomain = getUserDomain();
+    if (ownDomain) patterns.push(ownDomain);
+  }
+  return patterns;
+}
+
+/**
+ * Classifies a meeting as internal or external from its attendees' domains.
+ * Attendees on the user's own domain or a configured internal domain are internal.
+ * Resource calendars and attendees who declined are ignored, and an event with
+ * nobody but the user left is not a meeting, so it gets no classification.
+ *
+ * @param {Object[]} attendees - The event attendees.
+ * @returns {string|null} INTERNAL_MEETING_TAG, EXTERNAL_MEETING_TAG, or null.
+ */
+function classifyMeeting(attendees) {
+  log('classifyMeeting called', attendees);
+
+  const participants = (attendees || []).filter(attendee =>
+    attendee.email && !attendee.self && !isResourceAttendee(attendee) && attendee.responseStatus !== 'declined');
+
+  if (participants.length === 0) {
+    log('Solo event, not classifying.');
+    return null;
+  }
+
+  const internalPatterns = splitCell(getSetting("internalDomains"));
+  const ownDomain = getUserDomain();
+  if (ownDomain) internalPatterns.push(ownDomain);
+
+  const isExternal = participants.some(attendee =>
+    !internalPatterns.some(pattern => matchesEmailPattern(pattern, attendee.email)));
+
+  return isExternal ? EXTERNAL_MEETING_TAG : INTERNAL_MEETING_TAG;
+}
+
+
+/**
+ * Gets the parents of a hierarchical tag, outermost first: #Client/Acme/Audit
+ * has the parents #Client and #Client/Acme.
+ * @param {string} tag - The tag.
+ * @returns {string[]} The parent tags.
+ */
+function getTagAncestors(tag) {
+  const parts = tag.split(TAG_SEPARATOR);
+  const ancestors = [];
+  for (let i = 1; i < parts.length; i++) {
+    ancestors.push(parts.slice(0, i).join(TAG_SEPARATOR));
+  }
+  return ancestors;
+}
+
+/**
+ * Groups tags by their top-level parent, keeping their order. Tags that have no
+ * children and no parent are grouped under ''.
+ * @param {string[]} tags - The tags.
+ * @returns {Map<string, string[]>} The tags by parent, with '' first.
+ */
+function groupTagsByParent(tags) {
+  const parents = new Set(tags.filter(tag => tag.includes(TAG_SEPARATOR)).map(tag => tag.split(TAG_SEPARATOR)[0]));
+  const groups = new Map([['', []]]);
+
+  tags.forEach(tag => {
+    const root = tag.split(TAG_SEPARATOR)[0];
+    const parent = parents.has(root) ? root : '';
+    if (!groups.has(parent)) groups.set(parent, []);
+    groups.get(parent).push(tag);
+  });
+
+  return groups;
+}
+
+/**
+ * Gets the label for a tag shown under its parent: #Client/Acme shows as Acme under
+ * #Client, and #Client itself keeps its full name.
+ * @param {string} tag - The tag.
+ * @param {string} parent - The parent it is shown under.
+ * @returns {string} The label.
+ */
+function getTagLabelUnder(tag, parent) {
+  return tag.startsWith(parent + TAG_SEPARATOR) ? tag.substring(parent.length + 1) : tag;
+}
+
+/**
+ * Prefixes a tag with # if necessary.
+ * @param {string} tag - The raw tag.
+ * @returns {string|null} The normalised tag, or null if blank.
+ */
+function normalizeTag(tag) {
+  const text = String(tag || '').trim();
+  if (!text) return null;
+  return text.startsWith('#') ? text : `#${text}`;
+}
+
+/**
+ * Splits a cell holding several values separated by commas, semicolons or whitespace.
+ * @param {*} value - The cell value.
+ * @returns {string[]} The non-blank values.
+ */
+function splitCell(value) {
+  return String(value || '').split(/[,;\s]+/).map(item => item.trim()).filter(item => item);
+}
+
+/**
+ * Reads a yes/no cell.
+ * @param {*} value - The cell value.
+ * @returns {boolean|null} True or false, or null if blank.
+ */
+function parseYesNo(value) {
+  const text = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+  if (!text) return null;
+  return ['yes', 'y', 'true', '1', 'x'].includes(text);
+}
+
+/**
+ * Parses a text condition cell into a matcher. "/pattern/flags" is a regular expression,
+ * anything else is a comma-separated list of keywords, any of which may match.
+ * @param {*} value - The cell value.
+ * @returns {Object|null} The matcher, or null if blank.
+ */
+function parseTextCondition(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  const regexMatch = text.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    return { regex: regexMatch[1], flags: regexMatch[2] || 'i' };
+  }
+  return { keywords: text.split(',').map(keyword => keyword.trim().toLowerCase()).filter(keyword => keyword) };
+}
+
+/**
+ * Compiles the regular expression of a text matcher, so a bad pattern is found when
+ * the rules load rather than each time an event is matched. The g and y flags are
+ * dropped: they make test() resume from the last match, so the same pattern would
+ * alternate between matching and not matching across events.
+ * @param {Object} matcher - The matcher from parseTextCondition, or null; updated in place.
+ * @throws {SyntaxError} If the pattern or its flags are invalid.
+ */
+function compileTextCondition(matcher) {
+  if (matcher && matcher.regex) {
+    matcher.pattern = new RegExp(matcher.regex, matcher.flags.replace(/[gy]/g, ''));
+  }
+}
+
+/**
+ * Tests a text matcher against a value.
+ * @param {Object} matcher - The matcher from parseTextCondition.
+ * @param {string} value - The text to test.
+ * @returns {boolean} True if it matches.
+ */
+function matchesText(matcher, value) {
+  const text = value || '';
+  if (matcher.regex) {
+    return matcher.pattern.test(text);
+  }
+  const lowerText = text.toLowerCase();
+  return matcher.keywords.some(keyword => lowerText.includes(keyword));
+}
+
+/**
+ * Gets the auto-tagging rules, which are loaded along with the user tags.
+ * @returns {Object[]} The rules, in the order they are applied.
+ */
+function getRules() {
+  log('getRules called');
+
+  getUserTags(); // Loads the rules along with the tags when they aren't loaded
+  if (!loadedRules) {
+    loadedRules = JSON.parse(getLargeProperty('rules')) || [];
+
+    // Stored rules only hold patterns that compiled when they were loaded
+    loadedRules.forEach(rule => [rule.title, rule.description, rule.location].forEach(compileTextCondition));
+  }
+  return loadedRules;
+}
+
+/**
+ * Loads the auto-tagging rules from the Rules sheet of the configured spreadsheet.
+ * The first row holds the column headers; see RULE_COLUMNS for the recognised ones.
+ * Rules with an invalid pattern are logged and left out.
+ *
+ * @returns {Object[]} The rules, in the order they are applied.
+ */
+function loadRules() {
+  const rules = [];
+  const spreadsheetId = getSetting("spreadsheetId");
+  if (!spreadsheetId) {
+    log('Spreadsheet ID not configured.');
+    return rules;
+  }
+
+  try {
+    const sheet = SpreadsheetApp.openById(spreadsheetId).getSheetByName(RULES_SHEET_NAME);
+    if (!sheet || sheet.getLastRow() < 2) {
+      log(`No rules found in sheet "${RULES_SHEET_NAME}".`);
+    } else {
+      const [headers, ...rows] = sheet.getDataRange().getValues();
+      const columns = {};
+      headers.forEach((header, index) => {
+        const key = RULE_COLUMNS[String(header).trim().toLowerCase()];
+        if (key) columns[key] = index;
+      });
+      const cell = (row, key) => (columns[key] === undefined ? '' : row[columns[key]]);
+
+      rows.forEach((row, index) => {
+        const addTags = splitCell(cell(row, 'addTags')).map(normalizeTag);
+        const removeTags = splitCell(cell(row, 'removeTags')).map(normalizeTag);
+        if (addTags.length === 0 && removeTags.length === 0) return;
+        if (parseYesNo(cell(row, 'enabled')) === false) return;
+
+        const priority = Number(cell(row, 'priority'));
+        const rule = {
+          name: String(cell(row, 'name') || `Rule ${index + 2}`),
+          priority: cell(row, 'priority') === '' || isNaN(priority) ? Number.MAX_SAFE_INTEGER : priority,
+          row: index + 2,
+          title: parseTextCondition(cell(row, 'title')),
+          description: parseTextCondition(cell(row, 'description')),
+          organizer: splitCell(cell(row, 'organizer')).map(value => value.toLowerCase()),
+          minAttendees: cell(row, 'minAttendees') === '' ? null : Number(cell(row, 'minAttendees')),
+          maxAttendees: cell(row, 'maxAttendees') === '' ? null : Number(cell(row, 'maxAttendees')),
+          recurring: parseYesNo(cell(row, 'recurring')),
+          conference: parseYesNo(cell(row, 'conference')),
+          location: parseTextCondition(cell(row, 'location')),
+          days: splitCell(cell(row, 'days')).map(day => day.substring(0, 3).toLowerCase()),
+          fromTime: formatTimeCell(cell(row, 'fromTime')),
+          toTime: formatTimeCell(cell(row, 'toTime')),
+          addTags: addTags,
+          removeTags: removeTags,
+          stop: parseYesNo(cell(row, 'stop')) === true
+        };
+
+        try {
+          [rule.title, rule.description, rule.location].forEach(compileTextCondition);
+        } catch (error) {
+          log(`Skipping rule "${rule.name}" in row ${rule.row}: ${error.message}`);
+          return;
+        }
+        rules.push(rule);
+      });
+
+      rules.sort((a, b) => a.priority - b.priority || a.row - b.row);
+    }
+  } catch (error) {
+    log(`Error loading rules: ${error.message}`, error);
+  }
+
+  log('Loaded rules:', rules);
+  return rules;
+}
+
+/**
+ * Reads a time-of-day cell as HH:mm. Sheets returns times as Dates, typed text is kept as is.
+ * @param {*} value - The cell value.
+ * @returns {string|null} The time, or null if blank.
+ */
+function formatTimeCell(value) {
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, Session.getScriptTimeZone(), 'HH:mm');
+  }
+  const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+}
+
+/**
+ * Checks whether every condition a rule sets holds for an event. Blank conditions are ignored.
+ * @param {Object} rule - The rule.
+ * @param {Object} event - The Calendar API event.
+ * @returns {boolean} True if the rule matches.
+ */
+function ruleMatchesEvent(rule, event) {
+  const attendees = (event.attendees || []).filter(attendee => !attendee.resource);
+  const rooms = (event.attendees || []).filter(attendee => attendee.resource);
+
+  if (rule.title && !matchesText(rule.title, event.summary)) return false;
+  if (rule.description && !matchesText(rule.description, event.description)) return false;
+
+  if (rule.organizer.length > 0) {
+    const organizer = (event.organizer?.email || '').toLowerCase();
+    const domain = organizer.split('@')[1] || '';
+    const matched = rule.organizer.some(value => value === organizer || value.replace(/^@/, '') === domain);
+    if (!matched) return false;
+  }
+
+  if (rule.minAttendees !== null && attendees.length < rule.minAttendees) return false;
+  if (rule.maxAttendees !== null && attendees.length > rule.maxAttendees) return false;
+
+  if (rule.recurring !== null && rule.recurring !== !!(event.recurringEventId || event.recurrence)) return false;
+  if (rule.conference !== null && rule.conference !== !!(event.conferenceData || event.hangoutLink)) return false;
+
+  if (rule.location) {
+    const places = [event.location, ...rooms.map(room => room.displayName || room.email)];
+    if (!places.some(place => place && matchesText(rule.location, place))) return false;
+  }
+
+  if (rule.days.length > 0 || rule.fromTime || rule.toTime) {
+    if (!event.start?.dateTime) return false; // Time windows don't apply to all-day events
+
+    const timeZone = event.start.timeZone || Session.getScriptTimeZone();
+    const start = new Date(event.start.dateTime);
+    const day = Utilities.formatDate(start, timeZone, 'EEE').toLowerCase();
+    const time = Utilities.formatDate(start, timeZone, 'HH:mm');
+
+    if (rule.days.length > 0 && !rule.days.includes(day)) return false;
+    if (rule.fromTime && time < rule.fromTime) return false;
+    if (rule.toTime && time >= rule.toTime) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Applies the auto-tagging rules to an event's tags. Rules only remove tags that were
+ * added automatically; the tags saved on the event are never removed.
+ * @param {Object} event - The Calendar API event.
+ * @param {Set<string>} selectedTags - The tags to update in place.
+ * @param {string[]} [savedTags] - The tags saved on the event.
+ * @returns {Object} A map of each tag added to the name of the rule that added it.
+ */
+function applyRules(event, selectedTags, savedTags) {
+  log('applyRules called');
+
+  const sources = {};
+  for (const rule of getRules()) {
+    if (!ruleMatchesEvent(rule, event)) continue;
+    log(`Rule matched: ${rule.name}`);
+
+    rule.removeTags.filter(tag => !(savedTags || []).includes(tag)).forEach(tag => {
+      selectedTags.delete(tag);
+      delete sources[tag];
+    });
+    rule.addTags.forEach(tag => {
+      selectedTags.add(tag);
+      sources[tag] = rule.name;
+    });
+
+    if (rule.stop) break;
+  }
+  return sources;
+}
+
+/**
+ * Reads a Color cell as a Calendar event colorId. Accepts the ID (1-11) or the colour name.
+ * @param {*} value - The cell value.
+ * @returns {string|null} The colorId, or null if blank or unrecognised.
+ */
+function parseColorCell(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return null;
+  if (EVENT_COLORS[text]) return text;
+  return Object.keys(EVENT_COLORS).find(colorId => EVENT_COLORS[colorId].name.toLowerCase() === text) || null;
+}
+
+/**
+ * Gets the tag to colorId mapping read from the Color column.
+ * @returns {Object} A map of tag to colorId.
+ */
+function getTagColors() {
+  getUserTags(); // Loads the colours along with the tags when they aren't cached
+  return JSON.parse(userProperties.getProperty("tagColors")) || {};
+}
+
+/**
+ * Gets the display colour for a tag's button.
+ * @param {string} tag - The tag.
+ * @param {Object} tagColors - The tag to colorId mapping.
+ * @returns {string|null} The hex colour, or null if the tag has none.
+ */
+function getTagButtonColor(tag, tagColors) {
+  const colorId = tagColors[tag];
+  return colorId ? EVENT_COLORS[colorId].hex : null;
+}
+
+/**
+ * Sets the event colour from its highest-priority coloured tag (the one listed first in
+ * the tag sheet). The colour this add-on applied is remembered on the event, so a
+ * colour the user picked by hand is never overwritten.
+ * @param {Object} event - The Calendar API event, updated in place.
+ * @param {string} calendarId - The ID of the calendar.
+ * @param {string[]} tags - The tags being saved.
+ */
+function applyTagColor(event, calendarId, tags) {
+  const disabledCalendars = JSON.parse(userProperties.getProperty("colorDisabledCalendars")) || [];
+  if (disabledCalendars.includes(calendarId)) {
+    log(`Tag colours are turned off for calendar ${calendarId}.`);
+    return;
+  }
+
+  const tagColors = getTagColors();
+  if (Object.keys(tagColors).length === 0) return;
+
+  const appliedColorId = event.extendedProperties.private.tagColorId || null;
+  if (event.colorId && event.colorId !== appliedColorId) {
+    log(`Event ${event.id} was coloured by hand; keeping its colour.`);
+    return;
+  }
+
+  const selected = new Set(tags);
+  const colorTag = getUserTags().find(tag => selected.has(tag) && tagColors[tag]);
+
+  if (colorTag) {
+    event.colorId = tagColors[colorTag];
+    event.extendedProperties.private.tagColorId = tagColors[colorTag];
+  } else if (appliedColorId) {
+    // No coloured tag left: the update drops colorId, going back to the calendar's default colour
+    delete event.colorId;
+    delete event.extendedProperties.private.tagColorId;
+  }
+}
+
+/**
+ * Gets the tag to group mapping read from the Group column.
+ * @returns {Object} A map of tag to group name.
+ */
+function getTagGroups() {
+  getUserTags(); // Loads the groups along with the tags when they aren't cached
+  return JSON.parse(userProperties.getProperty("tagGroups")) || {};
+}
+
+/**
+ * Gets each group's selection mode, which is loaded along with the user tags.
+ * Groups not listed default to GROUP_MODES.AT_MOST_ONE.
+ * @returns {Object} A map of group name to one of GROUP_MODES.
+ */
+function getGroupModes() {
+  getUserTags(); // Loads the group modes along with the tags when they aren't loaded
+  return JSON.parse(userProperties.getProperty('groupModes')) || {};
+}
+
+/**
+ * Loads each group's selection mode from the Groups sheet (headers Group and Mode).
+ * @returns {Object} A map of group name to one of GROUP_MODES.
+ */
+function loadGroupModes() {
+  const modes = {};
+  const spreadsheetId = getSetting("spreadsheetId");
+  try {
+    const sheet = spreadsheetId ? SpreadsheetApp.openById(spreadsheetId).getSheetByName(GROUPS_SHEET_NAME) : null;
+    if (sheet && sheet.getLastRow() > 1) {
+      const [headers, ...rows] = sheet.getDataRange().getValues();
+      const groupIndex = headers.findIndex(header => String(header).trim().toLowerCase() === 'group');
+      const modeIndex = headers.findIndex(header => String(header).trim().toLowerCase() === 'mode');
+
+      rows.forEach(row => {
+        const group = String(row[groupIndex] || '').trim();
+        const mode = String(row[modeIndex] || '').trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+        if (group && Object.values(GROUP_MODES).includes(mode)) {
+          modes[group] = mode;
+        } else if (group) {
+          log(`Unknown mode "${row[modeIndex]}" for group ${group}.`);
+        }
+      });
+    }
+  } catch (error) {
+    log(`Error loading group modes: ${error.message}`, error);
+  }
+
+  return modes;
+}
+
+/**
+ * Gets a group's selection mode.
+ * @param {string} group - The group name.
+ * @param {Object} groupModes - The group modes from getGroupModes.
+ * @returns {string} One of GROUP_MODES.
+ */
+function getGroupMode(group, groupModes) {
+  return groupModes[group] || GROUP_MODES.AT_MOST_ONE;
+}
+
+/**
+ * Lists the group rules a tag set breaks.
+ * @param {Iterable<string>} tags - The tags.
+ * @returns {string[]} One message per broken rule; empty if the tags are valid.
+ */
+function validateTagGroups(tags) {
+  const tagGroups = getTagGroups();
+  const groupModes = getGroupModes();
+  const selected = Array.from(tags);
+  const problems = [];
+
+  const groups = new Set(Object.values(tagGroups));
+  groups.forEach(group => {
+    const mode = getGroupMode(group, groupModes);
+    const count = selected.filter(tag => tagGroups[tag] === group).length;
+
+    if (count === 0 && (mode === GROUP_MODES.EXACTLY_ONE || mode === GROUP_MODES.AT_LEAST_ONE)) {
+      problems.push(`Choose a ${group} tag.`);
+    } else if (count > 1 && (mode === GROUP_MODES.EXACTLY_ONE || mode === GROUP_MODES.AT_MOST_ONE)) {
+      problems.push(`Only one ${group} tag is allowed.`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Deselects the other tags of a tag's group when the group allows only one.
+ * @param {Set<string>} selectedTags - The selected tags, updated in place.
+ * @param {string} tag - The tag just selected.
+ */
+function deselectGroupSiblings(selectedTags, tag) {
+  const tagGroups = getTagGroups();
+  const group = tagGroups[tag];
+  if (!group) return;
+
+  const mode = getGroupMode(group, getGroupModes());
+  if (mode !== GROUP_MODES.EXACTLY_ONE && mode !== GROUP_MODES.AT_MOST_ONE) return;
+
+  Array.from(selectedTags)
+    .filter(other => other !== tag && tagGroups[other] === group)
+    .forEach(other => {
+      log(`Deselecting ${other}, same ${group} group as ${tag}`);
+      selectedTags.delete(other);
+    });
+}
+
+/**
+ * Handles listing recent events whose tags break the group rules.
+ * @returns {CardService.ActionResponse} The action response.
+ */
+function handleShowTagViolations() {
+  log('handleShowTagViolations called');
+
+  const now = Date.now();
+  const section = CardService.newCardSection()
+    .setHeader(`Events in the last ${VIOLATION_LOOKBACK_DAYS} days`);
+  let found = 0;
+
+  try {
+    for (const calendar of getUserCalendars().filter(item => item.primary || item.selected)) {
+      const seriesCache = {};
+      const response = Calendar.Events.list(calendar.id, {
+        timeMin: new Date(now - VIOLATION_LOOKBACK_DAYS * 24 * 3600 * 1000).toISOString(),
+        timeMax: new Date(now).toISOString(),
+        singleEvents: true,
+        orderBy: 'startTime',
+        maxResults: 250
+      });
+
+      for (const event of response.items || []) {
+        if (event.status === 'cancelled' || found >= SEARCH_RESULT_LIMIT) continue;
+        const problems = validateTagGroups(readEventTags(event, calendar.id, seriesCache));
+        if (problems.length === 0) continue;
+
+        found++;
+        section.addWidget(CardService.newDecoratedText()
+          .setTopLabel(`${formatEventStart(event)} · ${calendar.summaryOverride || calendar.summary || calendar.id}`)
+          .setText(event.summary || '(No title)')
+          .setBottomLabel(problems.join(' '))
+          .setWrapText(true)
+          .setOnClickAction(CardService.newAction()
+            .setFunctionName("handleOpenEventTags")
+            .setParameters({ calendarId: calendar.id, eventId: event.id })));
+      }
+    }
+  } catch (error) {
+    log(`Error in handleShowTagViolations: ${error.message}`, error);
+    return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification()
+        .setText("Error checking events. Check logs."))
+      .build();
+  }
+
+  if (found === 0) {
+    section.addWidget(CardService.newTextParagraph()
+      .setText("All recent events follow the tag group rules."));
+  }
+
+  const card = CardService.newCardBuilder()
+    .setHeader(CardService.newCardHeader().setTitle("Events Needing Tags"))
+    .addSection(section)
+    .build();
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(CardService.newNavigation().pushCard(card))
+    .build();
+}
+
+/**
+ * Gets the user tags, combining default tags and the tags from every configured tag source.
+ * The colours, groups and domain mappings of the tags are loaded along with them, as are
+ * the auto-tagging rules and group modes, so opening an event reads no spreadsheet.
+ *
+ * @returns {string[]} The user tags.
+ */
+function getUserTags() {
+  if (loadedUserTags) {
+    return loadedUserTags;
+  }
+
+  log('getUserTags called');
+  let userTags = JSON.parse(userProperties.getProperty("userTags"));
+
+  // A changed organisation configuration reloads everything loaded under the old one
+  const orgConfigVersion = Utilities.base64Encode(Utilities.computeDigest(Utilities.DigestAlgorithm.MD5,
+    scriptProperties.getProperty('orgConfig') || ''));
+  if (userTags && userProperties.getProperty("orgConfigVersion") !== orgConfigVersion) {
+    log('Organisation configuration changed. Reloading tags.');
+    invalidateTagCache();
+    userTags = null;
+  }
+
+  // Tags saved by an older version lack what is now loaded along with them
+  if (userTags && ['domainIndex_chunks', 'rules_chunks', 'groupModes'].some(name => userProperties.getProperty(name) === null)) {
+    log('Loaded tag data incomplete. Reloading tags.');
+    userTags = null;
+  }
+
+  if (!userTags) {
+    log('User tags not found in cache. Loading tag sources.');
+    const loadStart = Date.now();
+    const { entries, errors } = loadTagSources();
+
+    // Sources are in precedence order, so the first colour and group given for a tag win
+    const colors = {};
+    const groups = {};
+    const domains = {};
+    entries.forEach(entry => {
+      if (entry.color && !colors[entry.tag]) colors[entry.tag] = entry.color;
+      if (entry.group && !groups[entry.tag]) groups[entry.tag] = entry.group;
+      if (entry.domains.length > 0) {
+        domains[entry.tag] = Array.from(new Set([...(domains[entry.tag] || []), ...entry.domains]));
+      }
+    });
+    userProperties.setProperty("tagColors", JSON.stringify(colors));
+    userProperties.setProperty("tagGroups", JSON.stringify(groups));
+    userProperties.setProperty("tagSourceErrors", JSON.stringify(errors));
+    putLargeProperty("domainIndex", JSON.stringify(buildDomainIndex(domains)));
+    deleteLargeProperty("tagDomains"); // Replaced by the domain index
+
+    // Rules and group modes come from the same spreadsheet, so they are read now too
+    putLargeProperty("rules", JSON.stringify(loadRules()));
+    userProperties.setProperty("groupModes", JSON.stringify(loadGroupModes()));
+
+    // Combine required, default and source tags
+    userTags = [...getLockedTags(), ...getDefaultTags(), ...entries.map(entry => entry.tag)];
+
+    //Ensure Uniqueness
+    userTags = Array.from(new Set(userTags));
+
+    log('Combined tags:', userTags);
+
+    userProperties.setProperty("userTags", JSON.stringify(userTags));
+    userProperties.setProperty("orgConfigVersion", orgConfigVersion);
+    log(`Tag sources loaded in ${Date.now() - loadStart} ms`);
+  }
+
+  log('getUserTags finished', userTags);
+  loadedUserTags = userTags;
+  return userTags;
+}
+
+/**
+ * Gets the index of email domain mappings from the tag sources.
+ * @returns {Object} The index built by buildDomainIndex.
+ */
+function getDomainIndex() {
+  getUserTags(); // Builds the index along with the tags when they aren't cached
+  return JSON.parse(getLargeProperty("domainIndex")) || buildDomainIndex({});
+}
+
+/**
+ * Indexes the tags' email domain patterns so an attendee's tags can be looked up
+ * without testing every pattern: domains and addresses are keyed exactly, and only
+ * wildcard patterns are tested one by one.
+ * @param {Object} tagDomains - A map of tag to its domain patterns.
+ * @returns {{domains: Object, addresses: Object, wildcards: Array[]}} Maps of domain and
+ *   address to their [tag, pattern] pairs, and the [tag, pattern] pairs with wildcards.
+ */
+function buildDomainIndex(tagDomains) {
+  const index = { domains: {}, addresses: {}, wildcards: [] };
+
+  Object.keys(tagDomains).forEach(tag => tagDomains[tag].forEach(pattern => {
+    const value = String(pattern).trim().toLowerCase();
+    if (!value) return;
+
+    if (value.includes('*')) {
+      index.wildcards.push([tag, value]);
+    } else if (value.indexOf('@') > 0) {
+      (index.addresses[value] = index.addresses[value] || []).push([tag, value]);
+    } else {
+      const domain = value.replace(/^@/, '');
+      (index.domains[domain] = index.domains[domain] || []).push([tag, value]);
+    }
+  }));
+
+  return index;
+}
+
+/**
+ * Looks up the domain mappings matching an email address, with the same rules as
+ * matchesEmailPattern: a domain also matches its subdomains.
+ * @param {Object} index - The index built by buildDomainIndex.
+ * @param {string} email - The email address.
+ * @returns {Array[]} The matching [tag, pattern] pairs.
+ */
+function lookupDomainIndex(index, email) {
+  const address = email.trim().toLowerCase();
+  const matches = [...(index.addresses[address] || [])];
+
+  // eu.acme.com is looked up as eu.acme.com, acme.com and com
+  const labels = (address.split('@')[1] || '').split('.');
+  for (let start = 0; start < labels.length; start++) {
+    matches.push(...(index.domains[labels.slice(start).join('.')] || []));
+  }
+
+  index.wildcards
+    .filter(([, pattern]) => matchesEmailPattern(pattern, address))
+    .forEach(match => matches.push(match));
+  return matches;
+}
+
+/**
+ * Gets the errors from the last time the tag sources were loaded.
+ * @returns {Object[]} The errors, each { source, message }.
+ */
+function getTagSourceErrors() {
+  getUserTags();
+  return JSON.parse(userProperties.getProperty("tagSourceErrors")) || [];
+}
+
+/**
+ * Gets the configured tag source types in precedence order, highest first.
+ * @returns {string[]} Keys of TAG_SOURCES.
+ */
+function getTagSourceOrder() {
+  const order = splitCell(getSetting("tagSourceOrder") || DEFAULT_TAG_SOURCE_ORDER.join(','))
+    .map(type => type.toLowerCase())
+    .filter(type => TAG_SOURCES[type]);
+
+  // Sources left out of the order still load, after the listed ones
+  DEFAULT_TAG_SOURCE_ORDER.forEach(type => {
+    if (!order.includes(type)) order.push(type);
+  });
+  return Array.from(new Set(order));
+}
+
+/**
+ * Loads the tags of every configured tag source, in precedence order.
+ * A source that fails to load is skipped and its error reported.
+ * @returns {{entries: Object[], errors: Object[]}} The tag entries ({tag, domains, color, group})
+ *   and an error ({source, message}) for each source that failed.
+ */
+function loadTagSources() {
+  const entries = [];
+  const errors = [];
+
+  getTagSourceOrder().forEach(type => {
+    const source = TAG_SOURCES[type];
+    if (!source.isConfigured()) return;
+
+    try {
+      const sourceEntries = source.load();
+      log(`Loaded ${sourceEntries.length} tags from ${source.label}.`);
+      entries.push(...sourceEntries);
+    } catch (error) {
+      log(`Error loading tags from ${source.label}: ${error.message}`, error);
+      errors.push({ source: source.label, message: error.message });
+    }
+  });
+
+  return { entries: entries, errors: errors };
+}
+
+/**
+ * Builds a tag entry from the cells of a tag source row.
+ * @param {*} tag - The tag cell.
+ * @param {*} [domains] - The comma-separated email domain patterns.
+ * @param {*} [color] - The colour name or ID.
+ * @param {*} [group] - The group name.
+ * @returns {Object|null} The entry, or null if the tag is blank.
+ */
+function buildTagEntry(tag, domains, color, group) {
+  const normalized = normalizeTag(tag);
+  if (!normalized) return null;
+
+  return {
+    tag: normalized,
+    domains: String(domains || '').split(',').map(pattern => pattern.trim()).filter(pattern => pattern),
+    color: parseColorCell(color),
+    group: String(group || '').trim()
+  };
+}
+
+/**
+ * Reads tag entries from a table whose first row names its columns: `Tag`, and
+ * optionally `Domain`, `Color` and `Group`. A table without a `Tag` header is read
+ * as a plain list of tags in its first column.
+ * @param {Array<Array<*>>} rows - The table rows.
+ * @returns {Object[]} The tag entries.
+ */
+function parseTagTable(rows) {
+  if (rows.length === 0) return [];
+
+  const headers = rows[0].map(header => String(header).trim().toLowerCase());
+  const find = names => headers.findIndex(header => names.includes(header));
+  const tagIndex = find(['tag', 'tags']);
+
+  if (tagIndex < 0) {
+    return rows.map(row => buildTagEntry(row[0])).filter(entry => entry);
+  }
+
+  const domainIndex = find(['domain', 'domains', 'email domain']);
+  const colorIndex = find(['color', 'colour']);
+  const groupIndex = find(['group']);
+  return rows.slice(1)
+    .map(row => buildTagEntry(row[tagIndex], row[domainIndex], row[colorIndex], row[groupIndex]))
+    .filter(entry => entry);
+}
+
+/**
+ * Loads the tags from the configured spreadsheet, sheet and columns.
+ * @returns {Object[]} The tag entries.
+ * @throws {Error} If the spreadsheet or sheet cannot be read.
+ */
+function loadSpreadsheetTagSource() {
+  log('loadSpreadsheetTagSource called');
+  const { sheet, settings } = openTagSheet();
+
+  const lastRow = sheet.getLastRow();
+  const firstRow = getFirstDataRow(settings);
+  log(`Last row in sheet: ${lastRow}`);
+  if (lastRow < firstRow) {
+    log('Sheet is empty.');
+    return [];
+  }
+
+  const rows = sheet.getRange(firstRow, 1, lastRow - firstRow + 1, Math.max(sheet.getLastColumn(), 1)).getValues();
+  const cell = (row, letter) => (letter ? row[columnIndex(letter)] : '');
+  return rows
+    .map(row => buildTagEntry(cell(row, settings.column), cell(row, settings.emailDomainColumn),
+      cell(row, settings.colorColumn), cell(row, settings.groupColumn)))
+    .filter(entry => entry);
+}
+
+/**
+ * Loads the tags from a CSV file on Drive, read with parseTagTable.
+ * @returns {Object[]} The tag entries.
+ * @throws {Error} If the file cannot be read.
+ */
+function loadCsvTagSource() {
+  const fileId = getSetting("csvFileId");
+  let text;
+  try {
+    text = DriveApp.getFileById(fileId).getBlob().getDataAsString();
+  } catch (error) {
+    throw new Error(`CSV file "${fileId}" could not be opened: ${error.message}`);
+  }
+  return parseTagTable(Utilities.parseCsv(text));
+}
+
+/**
+ * Loads the tags typed into the homepage's inline tag list. Tags are separated by
+ * commas only, so a tag may contain spaces.
+ * @returns {Object[]} The tag entries.
+ */
+function loadInlineTagSource() {
+  return String(getSetting("inlineTags"))
+    .split(',')
+    .map(tag => buildTagEntry(tag.trim()))
+    .filter(entry => entry);
+}
+
+/**
+ * Loads the tags from a catalogue published at a URL: either CSV, read with
+ * parseTagTable, or a JSON array of tags or of { tag, domains, color, group } objects.
+ * @returns {Object[]} The tag entries.
+ * @throws {Error} If the catalogue cannot be fetched or read.
+ */
+function loadCatalogueTagSource() {
+  const url = getSetting("catalogueUrl");
+  const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true });
+  if (response.getResponseCode() !== 200) {
+    throw new Error(`Catalogue "${url}" returned HTTP ${response.getResponseCode()}.`);
+  }
+
+  const text = response.getContentText().trim();
+  if (!text.startsWith('[')) {
+    return parseTagTable(Utilities.parseCsv(text));
+  }
+
+  let items;
+  try {
+    items = JSON.parse(text);
   } catch (error) {
-    log(`Error fetching tags from spreadsheet: ${error.message}`, error);
-    return []; // Return an empty array on error
+    throw new Error(`Catalogue "${url}" is not valid JSON: ${error.message}`);
   }
+  return items
+    .map(item => (typeof item === 'string' ? buildTagEntry(item)
+      : buildTagEntry(item.tag, [].concat(item.domains || []).join(','), item.color, item.group)))
+    .filter(entry => entry);
 }